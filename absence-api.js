@@ -0,0 +1,80 @@
+/**
+ * Personio Absence Data API
+ * Loads absence periods from the JSON endpoint the Personio web app uses (same origin, session cookies)
+ */
+class PersonioAbsenceApi {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Origin serving the data (Personio itself or a local test server)
+   * @param {string} options.path - Endpoint path with {employeeId}, {startDate} and {endDate} placeholders
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, path, timeout = 10000 }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.path = path;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Builds the endpoint URL for the given employee and date range
+   */
+  buildUrl({ employeeId, startDate, endDate }) {
+    const values = { employeeId, startDate, endDate };
+    const path = this.path.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      encodeURIComponent(values[name] ?? "")
+    );
+    return `${this.baseUrl}${path.startsWith("/") ? "" : "/"}${path}`;
+  }
+
+  /**
+   * Fetches and normalizes the absence periods of an employee
+   */
+  async fetchAbsencePeriods({ employeeId, startDate, endDate }) {
+    const url = this.buildUrl({ employeeId, startDate, endDate });
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Absence data request failed (${response.status})`);
+      }
+
+      const contentType = response.headers.get("content-type") || "";
+      if (!contentType.includes("json")) {
+        // Personio answers with its login page when the session has expired
+        throw new Error(`Absence data request returned ${contentType}`);
+      }
+
+      return this.parseAbsencePeriods(await response.json());
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Extracts the list of periods from a response body
+   */
+  parseAbsencePeriods(body) {
+    if (body && body.success === false) {
+      throw new Error("Absence data response reports an error");
+    }
+
+    const items = Array.isArray(body)
+      ? body
+      : (body && (body.data || body.absences || body.periods)) || null;
+
+    if (!Array.isArray(items)) {
+      throw new Error("Absence data response has no list of periods");
+    }
+
+    return items
+      .map((item) => LeavePeriods.normalize(item))
+      .filter((period) => period !== null);
+  }
+}
@@ -0,0 +1,508 @@
+/**
+ * Personio Overtime Adjuster Background Worker
+ * Runs calendar page extractions in an inactive tab and reports the result back to the attendance tab
+ * and refreshes the leave data and notifications on schedule
+ */
+if (typeof importScripts === "function") {
+  importScripts(
+    "extraction-protocol.js",
+    "config.js",
+    "storage.js",
+    "localization.js",
+    "duration-format.js",
+    "overtime-notifications.js"
+  );
+}
+
+class PersonioBackgroundExtractor {
+  constructor() {
+    // Extraction tabs survive service worker restarts in session storage
+    this.extractionsKey = "personioTimeAdjuster_backgroundExtractions";
+
+    // Attendance tabs opened to refresh the leave data, closed once the refresh is done
+    // ([{ tabId, startedAt }], survives service worker restarts in session storage)
+    this.refreshTabsKey = "personioTimeAdjuster_refreshTabs";
+
+    // Outcome of the last refresh and the balance published by the attendance page (shown in the popup)
+    this.refreshStatusKey = "personioTimeAdjuster_refreshStatus";
+    this.snapshotKey = "personioTimeAdjuster_snapshot";
+
+    // Alarm of the daily automatic refresh
+    this.autoRefreshAlarm = "personioTimeAdjuster_autoRefresh";
+
+    // Alarms timing out extraction and refresh tabs, kept across service worker suspensions unlike a timer
+    this.extractionTimeoutAlarm = "personioTimeAdjuster_extractionTimeout";
+    this.refreshTimeoutAlarm = "personioTimeAdjuster_refreshTimeout";
+
+    // Session storage updates run one after the other, so simultaneous messages keep each other's changes
+    this.sessionUpdates = Promise.resolve();
+
+    // Give up on an extraction tab after one minute without progress
+    this.EXTRACTION_TIMEOUT_MS = 60000;
+
+    // Give up on a refresh tab after two minutes
+    this.REFRESH_TIMEOUT_MS = 120000;
+
+    // User settings (automatic refresh schedule, notification rules)
+    this.config = new PersonioOvertimeConfig();
+    this.notifications = new OvertimeNotifications(this.config);
+
+    // Extension data, upgraded to the current schema after an update
+    this.storage = new PersonioOvertimeStorage();
+
+    this.init();
+  }
+
+  init() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (ExtractionProtocol.isCommand(message)) {
+        this.handleCommand(message, sender).then(sendResponse);
+        return true;
+      }
+
+      if (!sender.tab || !ExtractionProtocol.isValidMessage(message)) {
+        return false;
+      }
+
+      if (message.type === ExtractionProtocol.TYPES.REQUEST) {
+        this.startExtraction(message.payload.url, message.nonce, sender.tab.id)
+          .then(() => sendResponse({ started: true }))
+          .catch((error) => {
+            console.error(
+              "PersonioOvertimeAdjuster: Error starting background extraction:",
+              error
+            );
+            sendResponse({ started: false });
+          });
+        return true;
+      }
+
+      this.handleExtractionMessage(sender.tab.id, message).then((handled) =>
+        sendResponse({ handled })
+      );
+      return true;
+    });
+
+    // Report a failed extraction when the tab is closed before it finished
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.failExtraction(tabId, "closed");
+      this.finishRefresh(tabId, "failed");
+    });
+
+    // A refresh tab that does not stay on the attendance page was sent to Personio's login
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.status === "complete") {
+        this.checkRefreshTab(tabId, tab.url);
+      }
+    });
+
+    // Opt-in automatic refresh: daily alarm or on browser start
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.autoRefreshAlarm) {
+        this.runAutoRefresh();
+      } else if (alarm.name === this.extractionTimeoutAlarm) {
+        this.expireExtractions();
+      } else if (alarm.name === this.refreshTimeoutAlarm) {
+        this.expireRefreshTabs();
+      }
+    });
+    // Extraction and refresh tabs whose timeout passed while the worker was stopped
+    this.expireExtractions();
+    this.expireRefreshTabs();
+    chrome.runtime.onStartup.addListener(async () => {
+      await this.syncAutoRefreshAlarm();
+      if (this.config.get("autoRefresh") === "startup") {
+        this.runAutoRefresh();
+      }
+    });
+    chrome.runtime.onInstalled.addListener(() => {
+      this.syncAutoRefreshAlarm();
+      this.storage.load();
+    });
+    this.config.onChange(() => this.syncAutoRefreshAlarm());
+
+    this.notifications.init();
+  }
+
+  /**
+   * Runs a read-modify-write of session storage once the updates queued before it are done
+   */
+  queueSessionUpdate(task) {
+    const run = this.sessionUpdates.then(task);
+    this.sessionUpdates = run.catch((error) => {
+      console.error(
+        "PersonioOvertimeAdjuster: Error updating session storage:",
+        error
+      );
+    });
+    return run;
+  }
+
+  /**
+   * Reads, modifies and writes the refresh tabs
+   */
+  updateRefreshTabs(update) {
+    return this.queueSessionUpdate(async () => {
+      const stored = await chrome.storage.session.get(this.refreshTabsKey);
+      await chrome.storage.session.set({
+        [this.refreshTabsKey]: update(stored[this.refreshTabsKey] || []),
+      });
+    });
+  }
+
+  /**
+   * Opens the calendar extraction URL in an inactive tab
+   */
+  async startExtraction(url, nonce, requesterTabId) {
+    if (!/^https:\/\/[^/]+\.personio\.com\//.test(url)) {
+      throw new Error(`Refusing to open non-Personio URL ${url}`);
+    }
+    if (new URL(url).searchParams.get("ptaNonce") !== nonce) {
+      throw new Error("Extraction URL does not carry the request nonce");
+    }
+
+    const tab = await chrome.tabs.create({ url, active: false });
+    await this.updateExtractions((extractions) => {
+      extractions[tab.id] = { requesterTabId, nonce, updatedAt: Date.now() };
+    });
+
+    console.log(
+      "PersonioOvertimeAdjuster: Started background extraction in tab",
+      tab.id
+    );
+    this.scheduleExtractionTimeout(this.EXTRACTION_TIMEOUT_MS);
+  }
+
+  /**
+   * Handles refresh commands from the popup and the attendance page
+   */
+  async handleCommand(message, sender) {
+    const { COMMANDS } = ExtractionProtocol;
+
+    if (message.command === COMMANDS.REFRESH && !sender.tab) {
+      return this.startRefresh(message.payload.attendanceUrl);
+    }
+
+    if (message.command === COMMANDS.REFRESH_DONE && sender.tab) {
+      const closed = await this.finishRefresh(
+        sender.tab.id,
+        message.payload.success ? "ok" : "failed"
+      );
+      return { closed };
+    }
+
+    return { started: false };
+  }
+
+  /**
+   * Refreshes the leave data in an open attendance tab, or opens one in the background
+   */
+  async startRefresh(attendanceUrl) {
+    const refreshCommand = ExtractionProtocol.createCommand(
+      ExtractionProtocol.COMMANDS.REFRESH
+    );
+
+    const [openTab] = await chrome.tabs.query({
+      url: "*://*.personio.com/attendance/employee/*",
+    });
+    if (openTab) {
+      try {
+        await chrome.tabs.sendMessage(openTab.id, refreshCommand);
+        return { started: true, tabId: openTab.id };
+      } catch (error) {
+        // Tab is still loading or has no content script, open a fresh one
+      }
+    }
+
+    if (!this.isAttendanceUrl(attendanceUrl)) {
+      return { started: false };
+    }
+
+    const url = new URL(attendanceUrl);
+    url.searchParams.set("ptaRefresh", "1");
+    const tab = await chrome.tabs.create({
+      url: url.toString(),
+      active: false,
+    });
+    await this.updateRefreshTabs((refreshTabs) => [
+      ...refreshTabs,
+      { tabId: tab.id, startedAt: Date.now() },
+    ]);
+
+    console.log(
+      "PersonioOvertimeAdjuster: Started refresh in background tab",
+      tab.id
+    );
+    this.scheduleRefreshTimeout(this.REFRESH_TIMEOUT_MS);
+    return { started: true, tabId: tab.id };
+  }
+
+  /**
+   * Sets the refresh timeout alarm to go off after the given delay
+   */
+  scheduleRefreshTimeout(delayMs) {
+    chrome.alarms.create(this.refreshTimeoutAlarm, {
+      delayInMinutes: Math.max(0.5, delayMs / 60000),
+    });
+  }
+
+  /**
+   * Fails and closes the refresh tabs that did not finish in time, then waits for the next one to expire
+   */
+  async expireRefreshTabs() {
+    const stored = await chrome.storage.session.get(this.refreshTabsKey);
+    const refreshTabs = stored[this.refreshTabsKey] || [];
+    const now = Date.now();
+
+    for (const { tabId, startedAt } of refreshTabs) {
+      if (now - startedAt >= this.REFRESH_TIMEOUT_MS) {
+        await this.finishRefresh(tabId, "failed");
+      }
+    }
+
+    const waiting = refreshTabs.filter(
+      ({ startedAt }) => now - startedAt < this.REFRESH_TIMEOUT_MS
+    );
+    if (waiting.length > 0) {
+      const nextExpiry = Math.min(
+        ...waiting.map(({ startedAt }) => startedAt + this.REFRESH_TIMEOUT_MS)
+      );
+      this.scheduleRefreshTimeout(nextExpiry - now);
+    }
+  }
+
+  /**
+   * Checks if a tab was opened for a refresh that has not finished yet
+   */
+  async isRefreshTab(tabId) {
+    const stored = await chrome.storage.session.get(this.refreshTabsKey);
+    return (stored[this.refreshTabsKey] || []).some(
+      (refreshTab) => refreshTab.tabId === tabId
+    );
+  }
+
+  /**
+   * Records the outcome of a refresh and closes the tab if it was opened for it, returns whether it was
+   */
+  async finishRefresh(tabId, state) {
+    const isRefreshTab = await this.isRefreshTab(tabId);
+
+    // Timeouts and tab closes only concern tabs still waiting for their refresh
+    if (!isRefreshTab && state === "failed") {
+      return false;
+    }
+
+    await this.setRefreshStatus(state);
+    if (isRefreshTab) {
+      await this.updateRefreshTabs((refreshTabs) =>
+        refreshTabs.filter((refreshTab) => refreshTab.tabId !== tabId)
+      );
+      this.closeTab(tabId);
+    }
+    return isRefreshTab;
+  }
+
+  /**
+   * Detects refresh tabs that ended up on a login page instead of the attendance page
+   */
+  async checkRefreshTab(tabId, url) {
+    if ((await this.isRefreshTab(tabId)) && !this.isAttendanceUrl(url)) {
+      console.log(
+        "PersonioOvertimeAdjuster: Refresh tab was redirected, Personio login needed"
+      );
+      this.finishRefresh(tabId, "loginNeeded");
+    }
+  }
+
+  /**
+   * Re-runs the extraction on schedule, using the attendance page the content script last reported
+   */
+  async runAutoRefresh() {
+    const stored = await chrome.storage.local.get(this.snapshotKey);
+    const snapshot = stored[this.snapshotKey];
+
+    const result = await this.startRefresh(
+      snapshot ? snapshot.attendanceUrl : null
+    );
+    if (!result.started) {
+      await this.setRefreshStatus(snapshot ? "failed" : "noAttendancePage");
+    }
+  }
+
+  /**
+   * Creates or clears the daily alarm according to the settings
+   */
+  async syncAutoRefreshAlarm() {
+    await this.config.load();
+    if (this.config.get("autoRefresh") !== "daily") {
+      await chrome.alarms.clear(this.autoRefreshAlarm);
+      return;
+    }
+
+    const existing = await chrome.alarms.get(this.autoRefreshAlarm);
+    if (!existing) {
+      chrome.alarms.create(this.autoRefreshAlarm, {
+        periodInMinutes: 24 * 60,
+      });
+    }
+  }
+
+  /**
+   * Stores the outcome of the last refresh ("ok", "failed", "loginNeeded" or "noAttendancePage") for the popup
+   */
+  async setRefreshStatus(state) {
+    await chrome.storage.local.set({
+      [this.refreshStatusKey]: { state, updatedAt: new Date().toISOString() },
+    });
+  }
+
+  /**
+   * Checks if a URL is an attendance page on Personio
+   */
+  isAttendanceUrl(url) {
+    return /^https:\/\/[^/]+\.personio\.com\/attendance\/employee\//.test(
+      url || ""
+    );
+  }
+
+  /**
+   * Sets the extraction timeout alarm to go off after the given delay
+   */
+  scheduleExtractionTimeout(delayMs) {
+    chrome.alarms.create(this.extractionTimeoutAlarm, {
+      delayInMinutes: Math.max(0.5, delayMs / 60000),
+    });
+  }
+
+  /**
+   * Fails the extractions that made no progress in time, then waits for the next one to expire
+   */
+  async expireExtractions() {
+    const stored = await chrome.storage.session.get(this.extractionsKey);
+    const extractions = stored[this.extractionsKey] || {};
+    const now = Date.now();
+
+    for (const [tabId, { updatedAt }] of Object.entries(extractions)) {
+      if (now - updatedAt >= this.EXTRACTION_TIMEOUT_MS) {
+        await this.failExtraction(Number(tabId), "timeout");
+      }
+    }
+
+    const waiting = Object.values(extractions).filter(
+      ({ updatedAt }) => now - updatedAt < this.EXTRACTION_TIMEOUT_MS
+    );
+    if (waiting.length > 0) {
+      const nextExpiry = Math.min(
+        ...waiting.map(
+          ({ updatedAt }) => updatedAt + this.EXTRACTION_TIMEOUT_MS
+        )
+      );
+      this.scheduleExtractionTimeout(nextExpiry - now);
+    }
+  }
+
+  /**
+   * Forwards progress, result and error messages of an extraction tab to its attendance tab
+   */
+  async handleExtractionMessage(tabId, message) {
+    const extraction = await this.getExtraction(tabId);
+    if (!extraction || extraction.nonce !== message.nonce) {
+      return false;
+    }
+
+    if (message.type === ExtractionProtocol.TYPES.PROGRESS) {
+      await this.updateExtractions((extractions) => {
+        if (extractions[tabId]) {
+          extractions[tabId].updatedAt = Date.now();
+        }
+      });
+      this.scheduleExtractionTimeout(this.EXTRACTION_TIMEOUT_MS);
+      await this.notifyRequester(extraction, message);
+      return true;
+    }
+
+    // A timeout or closed tab may have reported the extraction meanwhile
+    const finished = await this.updateExtractions((extractions) => {
+      const current = extractions[tabId] || null;
+      delete extractions[tabId];
+      return current;
+    });
+    if (!finished) {
+      return false;
+    }
+    await this.notifyRequester(extraction, message);
+    this.closeTab(tabId);
+    return true;
+  }
+
+  /**
+   * Reports an error for an unfinished extraction and closes its tab
+   */
+  async failExtraction(tabId, reason) {
+    // Taken out in one update, so a timeout and a closed tab do not both report it
+    const extraction = await this.updateExtractions((extractions) => {
+      const failed = extractions[tabId] || null;
+      delete extractions[tabId];
+      return failed;
+    });
+    if (!extraction) {
+      return;
+    }
+
+    await this.notifyRequester(
+      extraction,
+      ExtractionProtocol.createMessage(
+        ExtractionProtocol.TYPES.ERROR,
+        extraction.nonce,
+        { reason }
+      )
+    );
+    this.closeTab(tabId);
+  }
+
+  /**
+   * Sends a protocol message to the attendance tab that requested the extraction
+   */
+  async notifyRequester(extraction, message) {
+    try {
+      await chrome.tabs.sendMessage(extraction.requesterTabId, message);
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error notifying attendance tab:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Closes an extraction tab if it is still open
+   */
+  closeTab(tabId) {
+    chrome.tabs.remove(tabId).catch(() => {
+      // Tab was already closed
+    });
+  }
+
+  /**
+   * Gets the running extraction of a tab
+   */
+  async getExtraction(tabId) {
+    const stored = await chrome.storage.session.get(this.extractionsKey);
+    return (stored[this.extractionsKey] || {})[tabId] || null;
+  }
+
+  /**
+   * Reads, modifies and writes the running extractions, returns what the update returns
+   */
+  updateExtractions(update) {
+    return this.queueSessionUpdate(async () => {
+      const stored = await chrome.storage.session.get(this.extractionsKey);
+      const extractions = stored[this.extractionsKey] || {};
+      const result = update(extractions);
+      await chrome.storage.session.set({ [this.extractionsKey]: extractions });
+      return result;
+    });
+  }
+}
+
+new PersonioBackgroundExtractor();
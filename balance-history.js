@@ -0,0 +1,116 @@
+/**
+ * Personio Balance History
+ * Keeps a daily time series of the real and adjusted overtime balance and draws its trend
+ */
+class BalanceHistory {
+  constructor(storage) {
+    this.storage = storage;
+
+    // Storage key for [{ date, originalMinutes, plannedDays, adjustedMinutes, schedule }], oldest first
+    this.historyKey = "personioTimeAdjuster_history";
+
+    // Keep about two years of daily records
+    this.MAX_ENTRIES = 730;
+  }
+
+  /**
+   * Gets the recorded entries, oldest first
+   */
+  getEntries() {
+    const entries = this.storage.get(this.historyKey);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Records the balances of a day, replacing an earlier record of the same day
+   */
+  record(entry) {
+    const entries = this.getEntries().filter(
+      (existing) => existing.date !== entry.date
+    );
+    entries.push(entry);
+    entries.sort((a, b) => a.date.localeCompare(b.date));
+
+    this.storage.set(this.historyKey, entries.slice(-this.MAX_ENTRIES));
+    return entries;
+  }
+
+  /**
+   * Draws the real (gray) and adjusted (blue) balances over time as an SVG line chart
+   */
+  static createChart(entries, formatMinutes, width = 280, height = 90) {
+    const createElement = OvertimeForecast.createSvgElement;
+
+    const firstTime = Date.parse(entries[0].date);
+    const totalTime = Math.max(
+      1,
+      Date.parse(entries[entries.length - 1].date) - firstTime
+    );
+    const values = entries
+      .flatMap((entry) => [entry.originalMinutes, entry.adjustedMinutes])
+      .concat(0);
+    const minValue = Math.min(...values);
+    const valueRange = Math.max(1, Math.max(...values) - minValue);
+    const padding = 4;
+
+    const toX = (date) =>
+      padding +
+      ((Date.parse(date) - firstTime) / totalTime) * (width - 2 * padding);
+    const toY = (minutes) =>
+      padding +
+      (1 - (minutes - minValue) / valueRange) * (height - 2 * padding);
+
+    const svg = createElement("svg", {
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+      role: "img",
+    });
+
+    // Zero line
+    svg.appendChild(
+      createElement("line", {
+        x1: padding,
+        x2: width - padding,
+        y1: toY(0),
+        y2: toY(0),
+        class: "chart-grid",
+        "stroke-dasharray": "3 3",
+      })
+    );
+
+    [
+      ["originalMinutes", "-muted", "historyChartPersonio"],
+      ["adjustedMinutes", "", "historyChartAdjusted"],
+    ].forEach(([key, classSuffix, labelMessageName]) => {
+      const label = Localization.getMessage(labelMessageName);
+      const points = entries
+        .map((entry) => `${toX(entry.date)},${toY(entry[key])}`)
+        .join(" ");
+      svg.appendChild(
+        createElement("polyline", {
+          points,
+          class: `chart-line${classSuffix}`,
+          "stroke-width": 1.5,
+        })
+      );
+
+      entries.forEach((entry) => {
+        const point = createElement("circle", {
+          cx: toX(entry.date),
+          cy: toY(entry[key]),
+          r: 2,
+          class: `chart-point${classSuffix}`,
+        });
+        const title = createElement("title", {});
+        title.textContent = `${entry.date} ${label}: ${formatMinutes(
+          entry[key]
+        )}`;
+        point.appendChild(title);
+        svg.appendChild(point);
+      });
+    });
+
+    return svg;
+  }
+}
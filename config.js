@@ -0,0 +1,312 @@
+/**
+ * Personio Overtime Adjuster Configuration
+ * Loads and saves the user's settings in chrome.storage (shared by the content script and the options page)
+ */
+class PersonioOvertimeConfig {
+  constructor() {
+    // Storage key for the settings object
+    this.storageKey = "personioTimeAdjuster_config";
+
+    this.values = PersonioOvertimeConfig.getDefaults();
+  }
+
+  /**
+   * Returns the default settings (the values the extension used to hardcode)
+   */
+  static getDefaults() {
+    return {
+      // Personio host, e.g. "acme.app.personio.com" (empty = host of the current page)
+      personioHost: "",
+
+      // Absence types whose planned days are tracked, each with its overtime rule:
+      // "full" (consumes overtime), "partial" (consumes factor × days) or "none"
+      absenceTypes: [
+        {
+          id: "0a405db0-f811-481e-a70b-5464ce2698ec",
+          name: "Overtime compensation",
+          rule: "full",
+          factor: 1,
+        },
+      ],
+
+      // Workday length used when the working schedule widget is missing (8 hours)
+      workdayMinutes: 480,
+
+      // Working schedules from an effective date on (YYYY-MM-DD, empty = always), minutes Monday to Sunday;
+      // they override Personio's working schedule widget, e.g. for an upcoming switch to part-time
+      workSchedules: [],
+
+      // Overtime expected to be gained (or lost, if negative) on every worked day, used by the forecast
+      dailySurplusMinutes: 0,
+
+      // Days after which the last extraction is considered outdated
+      staleAfterDays: 30,
+
+      // Where planned leave is read from: "auto" (data endpoint, calendar page as fallback),
+      // "api" (data endpoint only) or "dom" (calendar page only). The data endpoint is opt-in
+      // until its path is confirmed (see absenceDataPath).
+      extractionSource: "dom",
+
+      // Unit of the overtime values on the widget: "personio" (as Personio shows them), "hm" (hours and minutes),
+      // "decimal" (decimal hours) or "days" (workdays of the working schedule)
+      displayUnit: "personio",
+
+      // Show the adjusted overtime next to Personio's value (the widget's 👁 button switches it)
+      showAdjustment: true,
+
+      // Re-run the extraction in the background: "off", "daily" or "startup" (on browser start)
+      autoRefresh: "off",
+
+      // Desktop notifications: negative adjusted balance, adjusted balance above a cap (minutes, 0 = off),
+      // outdated extraction and new approved leave since the last extraction
+      notifyNegativeBalance: true,
+      notifyAboveMinutes: 0,
+      notifyStaleData: true,
+      notifyNewLeave: true,
+
+      // Path of Personio's absence data endpoint ({employeeId}, {startDate}, {endDate} are filled in).
+      // Personio does not document this endpoint, the default is an assumption about its web app's API
+      // that has not been verified against a live Personio account.
+      absenceDataPath:
+        "/api/v1/employees/{employeeId}/absence-periods?start_date={startDate}&end_date={endDate}",
+
+      // Origin serving the absence data (empty = Personio itself). Only Personio hosts and localhost (e.g. the
+      // stub server in tests/) are accepted, as the request carries the session cookies.
+      absenceDataBaseUrl: "",
+
+      // Report which lookup strategy found each Personio element
+      diagnostics: false,
+    };
+  }
+
+  /**
+   * Returns the chrome.storage area holding the settings
+   */
+  getStorageArea() {
+    return chrome.storage.sync || chrome.storage.local;
+  }
+
+  /**
+   * Loads the settings from storage, falling back to defaults
+   */
+  async load() {
+    try {
+      const stored = await this.getStorageArea().get(this.storageKey);
+      this.values = PersonioOvertimeConfig.normalize(stored[this.storageKey]);
+    } catch (error) {
+      console.error("PersonioOvertimeAdjuster: Error loading settings:", error);
+      this.values = PersonioOvertimeConfig.getDefaults();
+    }
+    return this.values;
+  }
+
+  /**
+   * Validates and saves the given settings
+   */
+  async save(values) {
+    const normalized = PersonioOvertimeConfig.normalize(values);
+    await this.getStorageArea().set({ [this.storageKey]: normalized });
+    this.values = normalized;
+    return normalized;
+  }
+
+  /**
+   * Gets a single setting value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Gets the ids of all tracked absence types
+   */
+  getAbsenceTypeIds() {
+    return this.values.absenceTypes.map((type) => type.id);
+  }
+
+  /**
+   * Gets the share of a planned day of the given absence type that is subtracted from overtime
+   */
+  getOvertimeFactor(absenceTypeId) {
+    const type = this.values.absenceTypes.find(
+      (absenceType) => absenceType.id === absenceTypeId
+    );
+    return type ? type.factor : 0;
+  }
+
+  /**
+   * Calls the listener with the new settings whenever they change in storage
+   */
+  onChange(listener) {
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes[this.storageKey]) {
+        this.values = PersonioOvertimeConfig.normalize(
+          changes[this.storageKey].newValue
+        );
+        listener(this.values);
+      }
+    });
+  }
+
+  /**
+   * Merges stored values with defaults and drops invalid entries
+   */
+  static normalize(values) {
+    const defaults = PersonioOvertimeConfig.getDefaults();
+    const settings = { ...defaults, ...(values || {}) };
+
+    settings.personioHost = PersonioOvertimeConfig.normalizeHost(
+      settings.personioHost
+    );
+
+    const absenceTypes = Array.isArray(settings.absenceTypes)
+      ? settings.absenceTypes
+          .filter((type) => type && String(type.id || "").trim())
+          .map((type) => PersonioOvertimeConfig.normalizeAbsenceType(type))
+      : [];
+    settings.absenceTypes =
+      absenceTypes.length > 0 ? absenceTypes : defaults.absenceTypes;
+
+    const workdayMinutes = Number(settings.workdayMinutes);
+    settings.workdayMinutes =
+      workdayMinutes > 0 && workdayMinutes <= 24 * 60
+        ? workdayMinutes
+        : defaults.workdayMinutes;
+
+    settings.workSchedules = Array.isArray(settings.workSchedules)
+      ? settings.workSchedules
+          .map((schedule) =>
+            PersonioOvertimeConfig.normalizeWorkSchedule(schedule)
+          )
+          .filter(Boolean)
+      : [];
+
+    const dailySurplusMinutes = Number(settings.dailySurplusMinutes);
+    settings.dailySurplusMinutes =
+      Math.abs(dailySurplusMinutes) <= 24 * 60 ? dailySurplusMinutes : 0;
+
+    const staleAfterDays = parseInt(settings.staleAfterDays, 10);
+    settings.staleAfterDays =
+      staleAfterDays >= 0 ? staleAfterDays : defaults.staleAfterDays;
+
+    if (!["auto", "api", "dom"].includes(settings.extractionSource)) {
+      settings.extractionSource = defaults.extractionSource;
+    }
+
+    if (!["personio", "hm", "decimal", "days"].includes(settings.displayUnit)) {
+      settings.displayUnit = defaults.displayUnit;
+    }
+
+    settings.showAdjustment = Boolean(settings.showAdjustment);
+
+    if (!["off", "daily", "startup"].includes(settings.autoRefresh)) {
+      settings.autoRefresh = defaults.autoRefresh;
+    }
+
+    settings.notifyNegativeBalance = Boolean(settings.notifyNegativeBalance);
+    settings.notifyStaleData = Boolean(settings.notifyStaleData);
+    settings.notifyNewLeave = Boolean(settings.notifyNewLeave);
+    const notifyAboveMinutes = Number(settings.notifyAboveMinutes);
+    settings.notifyAboveMinutes =
+      notifyAboveMinutes > 0 ? notifyAboveMinutes : 0;
+
+    settings.absenceDataPath =
+      String(settings.absenceDataPath || "").trim() || defaults.absenceDataPath;
+    settings.absenceDataBaseUrl = PersonioOvertimeConfig.normalizeBaseUrl(
+      settings.absenceDataBaseUrl
+    );
+
+    settings.diagnostics = Boolean(settings.diagnostics);
+
+    return settings;
+  }
+
+  /**
+   * Normalizes an absence type entry and its overtime rule
+   */
+  static normalizeAbsenceType(type) {
+    const rule = ["full", "partial", "none"].includes(type.rule)
+      ? type.rule
+      : "full";
+
+    // Only partial rules keep their own factor, "full" is 1 and "none" is 0
+    let factor = rule === "full" ? 1 : 0;
+    if (rule === "partial") {
+      const partialFactor = parseFloat(String(type.factor).replace(",", "."));
+      factor = partialFactor >= 0 && partialFactor <= 1 ? partialFactor : 0.5;
+    }
+
+    return {
+      id: String(type.id).trim(),
+      name: String(type.name || "").trim(),
+      rule,
+      factor,
+    };
+  }
+
+  /**
+   * Normalizes a working schedule entry, null if it has no working day
+   */
+  static normalizeWorkSchedule(schedule) {
+    if (!schedule || !Array.isArray(schedule.minutes)) {
+      return null;
+    }
+
+    const minutes = [0, 1, 2, 3, 4, 5, 6].map((index) => {
+      const dayMinutes = Number(schedule.minutes[index]);
+      return dayMinutes > 0 && dayMinutes <= 24 * 60 ? dayMinutes : 0;
+    });
+    if (!minutes.some((dayMinutes) => dayMinutes > 0)) {
+      return null;
+    }
+
+    const effectiveFrom = String(schedule.effectiveFrom || "").trim();
+    return {
+      effectiveFrom: /^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)
+        ? effectiveFrom
+        : "",
+      minutes,
+    };
+  }
+
+  /**
+   * Reduces a host or URL like "https://acme.app.personio.com/attendance" to "acme.app.personio.com",
+   * "" (the host of the current page) for anything that is not a Personio host
+   */
+  static normalizeHost(host) {
+    const normalized = String(host || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, "")
+      .replace(/[/?#].*$/, "");
+    return PersonioOvertimeConfig.isPersonioHost(normalized) ? normalized : "";
+  }
+
+  /**
+   * Reduces a data endpoint origin to its origin, "" (Personio itself) unless it is a Personio host
+   * on HTTPS or localhost
+   */
+  static normalizeBaseUrl(baseUrl) {
+    let url;
+    try {
+      url = new URL(String(baseUrl || "").trim());
+    } catch (error) {
+      return "";
+    }
+
+    const isPersonio =
+      url.protocol === "https:" &&
+      PersonioOvertimeConfig.isPersonioHost(url.hostname);
+    const isLocal =
+      ["http:", "https:"].includes(url.protocol) &&
+      ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+    return isPersonio || isLocal ? url.origin : "";
+  }
+
+  /**
+   * Checks if a host is a Personio subdomain, the only hosts the extension opens pages on
+   */
+  static isPersonioHost(host) {
+    return /^([a-z0-9-]+\.)+personio\.com$/.test(host);
+  }
+}
@@ -7,13 +7,43 @@ class PersonioOvertimeAdjuster {
     // Overtime calculation state
     this.originalHours = undefined;
     this.originalMinutes = undefined;
-    this.workTimePerDayInMinutes = undefined;
+    this.workSchedule = undefined;
 
-    // Page monitoring
-    this.observer = null;
-    this.urlCheckInterval = null;
+    // Format Personio showed the overtime in, adjusted values are shown the same way
+    this.overtimeFormat = DurationFormat.DEFAULT_FORMAT;
+
+    // Personio's overtime text if it could not be parsed
+    this.overtimeReadError = null;
+
+    // Display units in the order the widget's unit button switches them, with their [short, long] message names
+    this.DISPLAY_UNITS = {
+      hm: ["displayUnitShortHm", "displayUnitHm"],
+      decimal: ["displayUnitShortDecimal", "displayUnitDecimal"],
+      days: ["displayUnitShortDays", "displayUnitDays"],
+    };
+
+    // Shadow root holding the extension's controls
+    this.widgetRoot = null;
+
+    // Shadow root of the adjusted overtime shown next to Personio's value,
+    // and the observer following that value ({ parent, observer, text })
+    this.overlayRoot = null;
+    this.overtimeValueWatch = null;
+
+    // Page monitoring: navigation and re-rendered widgets
+    this.lifecycle = new WidgetLifecycle(
+      () => this.handleUrlChange(),
+      () => this.checkForOvertimeWidget()
+    );
     this.currentUrl = "";
 
+    // Personio's schedule widget the work time was read from ({ element, text })
+    this.scheduleWidget = null;
+
+    // Adjusted overtime last announced to screen readers, and the pending announcement
+    this.announcedOvertime = null;
+    this.announcementTimeout = null;
+
     // URL patterns
     this.attendanceUrl = ".personio.com/attendance/employee";
     this.calendarUrl = ".personio.com/calendar/me";
@@ -21,27 +51,61 @@ class PersonioOvertimeAdjuster {
     // Storage keys
     this.extractedDaysOffKey = "personioTimeAdjuster_extractedDaysOff";
     this.lastExtractionDateKey = "personioTimeAdjuster_lastExtractionDate";
+    this.extractedDaysByTypeKey = "personioTimeAdjuster_extractedDaysByType";
+    this.extractedPeriodsKey = "personioTimeAdjuster_extractedPeriods";
+    this.importedPeriodsKey = "personioTimeAdjuster_importedPeriods";
+
+    // Latest balance published to chrome.storage.local for the toolbar popup
+    this.snapshotKey = "personioTimeAdjuster_snapshot";
+    this.snapshotWrite = Promise.resolve();
+
+    // Pending extraction started by the reload button ({ nonce, window, timeoutId })
+    this.extractionRequest = null;
+
+    // Report "no answer" if an extraction stays silent for 90 seconds
+    this.EXTRACTION_TIMEOUT_MS = 90000;
+
+    // Refresh requested by the popup: waiting for the widget, or running
+    this.pendingRefresh = false;
+    this.refreshRequested = false;
+
+    // Lookup strategies for Personio's elements
+    this.selectors = new PersonioSelectors();
+
+    // User settings (host, absence types, workday length, staleness threshold)
+    this.config = new PersonioOvertimeConfig();
+
+    // Extracted leave, scenarios and history in chrome.storage (formerly the page's localStorage)
+    this.storage = new PersonioOvertimeStorage();
+
+    // What-if scenarios with hypothetical leave blocks
+    this.scenarios = new LeaveScenarios(this.storage);
 
-    // Standard workday in minutes (8 hours)
-    this.STANDARD_WORKDAY_MINUTES = 480;
+    // Daily records of the real and adjusted balance
+    this.history = new BalanceHistory(this.storage);
 
     this.init();
   }
 
-  init() {
+  async init() {
+    await Promise.all([this.config.load(), this.storage.load()]);
+    await this.storage.importLocalStorage(localStorage);
+    this.config.onChange(() => this.handleConfigChange());
+
     this.currentUrl = location.href;
     console.log(
       "PersonioOvertimeAdjuster: Initializing on URL:",
       this.currentUrl
     );
 
-    this.setupUrlMonitoring();
+    this.lifecycle.start();
     this.setupMessageListener();
 
     if (this.isAttendancePage()) {
       console.log(
         "PersonioOvertimeAdjuster: On attendance page, starting observer"
       );
+      this.takeRefreshParameter();
       this.startObservingPage();
     } else if (this.isCalendarExtractionPage()) {
       console.log(
@@ -55,28 +119,212 @@ class PersonioOvertimeAdjuster {
     }
   }
 
+  /**
+   * Re-applies the calculation when settings are changed on the options page
+   */
+  handleConfigChange() {
+    if (!this.isAttendancePage()) {
+      return;
+    }
+
+    this.workSchedule = undefined;
+    // Re-renders the absence types offered for hypothetical leave and the balance
+    this.refreshPlanning();
+
+    const reloadButton = this.getWidgetElement("subtractTimeReload");
+    if (reloadButton) {
+      this.updateReloadButtonBorder(reloadButton);
+    }
+    this.updateDisplayUnitButton();
+    this.updateVisibilityButton();
+  }
+
   /**
    * Sets up message listener for calendar extraction results
    */
   setupMessageListener() {
+    // Popup-tab extractions post from the calendar window we opened on the same origin
     window.addEventListener("message", (event) => {
-      if (event.data && event.data.type === "personioCalendarExtraction") {
-        this.handleCalendarExtractionResult(event.data.extractedDays);
+      if (
+        !this.extractionRequest ||
+        !this.extractionRequest.window ||
+        event.source !== this.extractionRequest.window ||
+        event.origin !== location.origin
+      ) {
+        return;
+      }
+      this.handleExtractionMessage(event.data);
+    });
+
+    // Background extractions are forwarded by the background worker, refresh commands come from the popup
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      if (sender.id !== chrome.runtime.id || sender.tab) {
+        return;
+      }
+      if (
+        ExtractionProtocol.isCommand(message) &&
+        message.command === ExtractionProtocol.COMMANDS.REFRESH
+      ) {
+        this.requestRefresh();
+        return;
       }
+      this.handleExtractionMessage(message);
     });
   }
 
+  /**
+   * Queues a refresh if the page was opened with ?ptaRefresh=1, removing the parameter so a reload does not repeat it
+   */
+  takeRefreshParameter() {
+    const url = new URL(location.href);
+    if (url.searchParams.get("ptaRefresh") !== "1") {
+      return;
+    }
+
+    url.searchParams.delete("ptaRefresh");
+    history.replaceState(history.state, "", url.toString());
+    this.currentUrl = location.href;
+    this.pendingRefresh = true;
+  }
+
+  /**
+   * Runs the ⟳ extraction on request of the popup, or once the widget is ready
+   */
+  requestRefresh() {
+    const reloadButton = this.getWidgetElement("subtractTimeReload");
+    if (!reloadButton) {
+      this.pendingRefresh = true;
+      return;
+    }
+
+    this.pendingRefresh = false;
+    if (!reloadButton.disabled) {
+      this.refreshRequested = true;
+      this.handleReloadButtonClick(reloadButton);
+    }
+  }
+
+  /**
+   * Tells the background worker that a requested refresh has finished (it closes tabs it opened for it)
+   */
+  async notifyRefreshDone(success) {
+    try {
+      await this.snapshotWrite;
+      await chrome.runtime.sendMessage(
+        ExtractionProtocol.createCommand(
+          ExtractionProtocol.COMMANDS.REFRESH_DONE,
+          { success }
+        )
+      );
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error reporting finished refresh:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handles protocol messages belonging to the pending extraction request
+   */
+  handleExtractionMessage(message) {
+    if (
+      !this.extractionRequest ||
+      !ExtractionProtocol.isValidMessage(message, this.extractionRequest.nonce)
+    ) {
+      return;
+    }
+
+    const { TYPES } = ExtractionProtocol;
+    if (message.type === TYPES.PROGRESS) {
+      this.handleExtractionProgress(message.payload);
+    } else if (message.type === TYPES.RESULT) {
+      this.finishExtractionRequest();
+      // The calendar tab saved the extraction before reporting it, its change event may not have arrived yet
+      this.storage
+        .refresh()
+        .then(() =>
+          this.handleCalendarExtractionResult(message.payload.extractedDays)
+        );
+    } else if (message.type === TYPES.ERROR) {
+      this.finishExtractionRequest();
+      this.handleCalendarExtractionResult(
+        null,
+        message.payload.reason === "closed"
+          ? Localization.getMessage("extractionCalendarClosed")
+          : Localization.getMessage("extractionCalendarFailed")
+      );
+    }
+  }
+
+  /**
+   * Shows extraction progress on the reload button and extends the timeout
+   */
+  handleExtractionProgress({ index, total }) {
+    this.scheduleExtractionTimeout();
+
+    const reloadButton = this.getWidgetElement("subtractTimeReload");
+    if (reloadButton && total > 1) {
+      reloadButton.title = Localization.getMessage(
+        "reloadButtonProgressTitle",
+        [index + 1, total]
+      );
+    }
+  }
+
+  /**
+   * Starts a new extraction request with a fresh nonce
+   */
+  startExtractionRequest() {
+    this.finishExtractionRequest();
+    this.extractionRequest = {
+      nonce: ExtractionProtocol.generateNonce(),
+      window: null,
+      timeoutId: null,
+    };
+    this.scheduleExtractionTimeout();
+    return this.extractionRequest;
+  }
+
+  /**
+   * (Re)starts the timeout of the pending extraction request
+   */
+  scheduleExtractionTimeout() {
+    if (!this.extractionRequest) {
+      return;
+    }
+
+    clearTimeout(this.extractionRequest.timeoutId);
+    this.extractionRequest.timeoutId = setTimeout(() => {
+      console.log("PersonioOvertimeAdjuster: Extraction timed out");
+      this.finishExtractionRequest();
+      this.handleCalendarExtractionResult(
+        null,
+        Localization.getMessage("extractionNoAnswer")
+      );
+    }, this.EXTRACTION_TIMEOUT_MS);
+  }
+
+  /**
+   * Clears the pending extraction request
+   */
+  finishExtractionRequest() {
+    if (this.extractionRequest) {
+      clearTimeout(this.extractionRequest.timeoutId);
+      this.extractionRequest = null;
+    }
+  }
+
   /**
    * Handles calendar extraction results and updates the UI
    */
-  handleCalendarExtractionResult(extractedDays) {
-    const inputElement = document.getElementById("subtractTime");
-    const reloadButton = document.querySelector(
-      'button[title*="extract upcoming leave days"], button[title*="refresh upcoming leave days"]'
-    );
-    const backButton = document.querySelector(
-      'button[title="Restore extracted future days off value"]'
-    );
+  handleCalendarExtractionResult(
+    extractedDays,
+    failureMessage = Localization.getMessage("extractionNoLeaveFound")
+  ) {
+    const inputElement = this.getWidgetElement("subtractTime");
+    const reloadButton = this.getWidgetElement("subtractTimeReload");
+    const backButton = this.getWidgetElement("subtractTimeBack");
 
     if (!inputElement || !reloadButton) {
       return;
@@ -93,12 +341,16 @@ class PersonioOvertimeAdjuster {
         backButton
       );
 
-      // Force update the reload button border after extraction (including when value is "0")
-      setTimeout(() => {
-        this.updateReloadButtonBorder(reloadButton);
-      }, 100);
+      this.showExtractionSucceededFeedback(reloadButton);
     } else {
-      this.showExtractionFailedFeedback(reloadButton);
+      this.showExtractionFailedFeedback(reloadButton, failureMessage);
+    }
+
+    if (this.refreshRequested) {
+      this.refreshRequested = false;
+      this.notifyRefreshDone(
+        extractedDays !== undefined && extractedDays !== null
+      );
     }
   }
 
@@ -124,14 +376,23 @@ class PersonioOvertimeAdjuster {
       this.updateBackButtonVisibility(adjustedValue, extractedDays);
     }
 
+    // Show the per-type breakdown and periods of the new extraction
+    const labelElement = this.getWidgetElement("subtractTimeLabel");
+    if (labelElement) {
+      labelElement.title = this.describeExtractedDaysByType();
+    }
+    const leaveList = this.getWidgetElement("subtractTimeLeaveList");
+    if (leaveList) {
+      this.renderLeaveList(leaveList);
+    }
+
     // Trigger overtime adjustment calculation
     this.adjustOvertime();
+    this.recordBalanceHistory();
 
     // Force update all related UI elements
     setTimeout(() => {
-      const reloadButton = document.querySelector(
-        'button[title*="extract upcoming leave days"], button[title*="refresh upcoming leave days"]'
-      );
+      const reloadButton = this.getWidgetElement("subtractTimeReload");
       if (reloadButton) {
         this.updateReloadButtonBorder(reloadButton);
       }
@@ -141,30 +402,44 @@ class PersonioOvertimeAdjuster {
   /**
    * Shows visual feedback when extraction finds no results
    */
-  showExtractionFailedFeedback(reloadButton) {
-    // Visual feedback for failed extraction removed for theme compatibility
+  showExtractionFailedFeedback(reloadButton, failureMessage) {
+    reloadButton.dataset.status = "failed";
+    reloadButton.textContent = "⚠";
+    reloadButton.title = Localization.getMessage("reloadButtonFailedTitle", [
+      failureMessage,
+    ]);
+    this.updateExtractionStatus("failed");
+  }
+
+  /**
+   * Shows visual feedback for a completed extraction, then returns to the extraction status
+   */
+  showExtractionSucceededFeedback(reloadButton) {
+    reloadButton.dataset.status = "succeeded";
+    reloadButton.textContent = "✓";
+    reloadButton.title = Localization.getMessage("reloadButtonSucceededTitle");
+    this.updateExtractionStatus("succeeded");
+
+    setTimeout(() => {
+      if (reloadButton.dataset.status === "succeeded") {
+        this.resetReloadButton(reloadButton);
+      }
+    }, 3000);
   }
 
   /**
    * Resets reload button to normal state
    */
   resetReloadButton(reloadButton) {
+    delete reloadButton.dataset.status;
     reloadButton.textContent = "↺";
     reloadButton.disabled = false;
-    reloadButton.title = "Open calendar page to extract upcoming leave days";
+    reloadButton.title = Localization.getMessage("reloadButtonTitle");
 
     // Update border color based on extraction status
     this.updateReloadButtonBorder(reloadButton);
   }
 
-  /**
-   * Sets up URL monitoring for page navigation
-   */
-  setupUrlMonitoring() {
-    window.addEventListener("popstate", () => this.handleUrlChange());
-    this.urlCheckInterval = setInterval(() => this.handleUrlChange(), 1000);
-  }
-
   /**
    * Handles URL changes and manages page observers
    */
@@ -172,12 +447,12 @@ class PersonioOvertimeAdjuster {
     if (this.currentUrl !== location.href) {
       const wasAttendancePage = this.currentUrl.includes(this.attendanceUrl);
       const isAttendancePage = location.href.includes(this.attendanceUrl);
-      const wasCalendarExtractionPage =
-        this.currentUrl.includes(this.calendarUrl) &&
-        this.currentUrl.includes(
-          "absenceTypeId=0a405db0-f811-481e-a70b-5464ce2698ec"
-        );
+      const wasCalendarExtractionPage = this.isCalendarExtractionUrl(
+        this.currentUrl
+      );
       const isCalendarExtractionPage = this.isCalendarExtractionPage();
+      const isSamePage =
+        this.currentUrl.split("#")[0] === location.href.split("#")[0];
 
       this.currentUrl = location.href;
 
@@ -185,7 +460,13 @@ class PersonioOvertimeAdjuster {
         this.startObservingPage();
       } else if (wasAttendancePage && !isAttendancePage) {
         this.stopObservingPage();
+        this.removeWidget();
         this.resetState();
+      } else if (isAttendancePage && !isSamePage) {
+        // Another employee or period: start over with the values of the new page
+        this.removeWidget();
+        this.resetState();
+        this.startObservingPage();
       }
 
       if (!wasCalendarExtractionPage && isCalendarExtractionPage) {
@@ -222,14 +503,32 @@ class PersonioOvertimeAdjuster {
    * Checks if current page is the specific calendar extraction URL
    */
   isCalendarExtractionPage() {
+    return this.isCalendarExtractionUrl(location.href);
+  }
+
+  /**
+   * Checks if a URL is a calendar page for one of the tracked absence types
+   */
+  isCalendarExtractionUrl(url) {
     return (
-      location.href.includes(this.calendarUrl) &&
-      location.href.includes(
-        "absenceTypeId=0a405db0-f811-481e-a70b-5464ce2698ec"
-      )
+      url.includes(this.calendarUrl) &&
+      this.config
+        .getAbsenceTypeIds()
+        .includes(this.getAbsenceTypeIdFromUrl(url))
     );
   }
 
+  /**
+   * Reads the absenceTypeId query parameter of a URL
+   */
+  getAbsenceTypeIdFromUrl(url) {
+    try {
+      return new URL(url).searchParams.get("absenceTypeId");
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Handles calendar page - extracts future leave days and communicates back to attendance page
    */
@@ -249,10 +548,10 @@ class PersonioOvertimeAdjuster {
         location.href.includes(this.calendarUrl)
       );
       console.log(
-        "PersonioOvertimeAdjuster: URL check - absenceTypeId included:",
-        location.href.includes(
-          "absenceTypeId=0a405db0-f811-481e-a70b-5464ce2698ec"
-        )
+        "PersonioOvertimeAdjuster: URL check - tracked absenceTypeId included:",
+        this.config
+          .getAbsenceTypeIds()
+          .includes(this.getAbsenceTypeIdFromUrl(location.href))
       );
       return;
     }
@@ -260,44 +559,204 @@ class PersonioOvertimeAdjuster {
     console.log(
       "PersonioOvertimeAdjuster: URL check passed, proceeding with extraction"
     );
-    try {
-      const extractedDays = await this.extractFutureLeaveDays();
-      this.saveExtractedDaysOff(extractedDays);
+    const absenceTypeId = this.getAbsenceTypeIdFromUrl(location.href);
+    const absenceTypeIds = this.config.getAbsenceTypeIds();
+    this.sendExtractionMessage(ExtractionProtocol.TYPES.PROGRESS, {
+      absenceTypeId,
+      index: absenceTypeIds.indexOf(absenceTypeId),
+      total: absenceTypeIds.length,
+    });
 
-      // Save the current date as last extraction date
-      this.saveLastExtractionDate();
+    // A new run starts with the first tracked type, dropping counts and periods of types no longer tracked
+    if (this.isExtractionRun() && absenceTypeIds.indexOf(absenceTypeId) === 0) {
+      this.storage.set(this.extractedDaysByTypeKey, null);
+      this.saveExtractedPeriods([]);
+    }
 
-      // Auto-close with communication to parent window
-      this.scheduleCalendarPageClose(extractedDays);
+    try {
+      const extractedDays = await this.extractFutureLeaveDays();
+      this.saveExtractedDaysForType(absenceTypeId, extractedDays);
+
+      // Dates are only kept if they account for exactly the days Personio counts
+      const periods = this.extractCalendarPeriods(document, absenceTypeId);
+      const isComplete =
+        Math.abs(
+          this.sumApprovedDays(periods) - (parseFloat(extractedDays) || 0)
+        ) < 0.05;
+      this.saveExtractedPeriodsForType(
+        absenceTypeId,
+        isComplete ? periods : null
+      );
     } catch (error) {
       console.error("Error handling calendar page:", error);
       // Only save error values if we're on the correct extraction page
       if (this.isCalendarExtractionPage()) {
-        this.saveExtractedDaysOff("0");
-        this.scheduleCalendarPageClose("0");
+        this.saveExtractedDaysForType(absenceTypeId, "0");
+        this.saveExtractedPeriodsForType(absenceTypeId, null);
       }
     }
+
+    // Continue an extraction run with the next tracked absence type
+    const nextAbsenceTypeId = this.getNextAbsenceTypeId(absenceTypeId);
+    if (this.isExtractionRun() && nextAbsenceTypeId) {
+      console.log(
+        "PersonioOvertimeAdjuster: Continuing extraction with absence type:",
+        nextAbsenceTypeId
+      );
+      await this.storage.flush();
+      location.href = this.buildCalendarUrl(
+        nextAbsenceTypeId,
+        this.getExtractionNonce()
+      );
+      return;
+    }
+
+    const overtimeDays = this.saveLeaveWithImports();
+
+    // Save the current date as last extraction date
+    this.saveLastExtractionDate();
+
+    // Report to the background worker or the parent window and close, once the extraction is saved
+    await this.storage.flush();
+    this.finishCalendarExtraction(overtimeDays);
+  }
+
+  /**
+   * Reports the extraction result, via the background worker when this is a background extraction tab
+   */
+  async finishCalendarExtraction(extractedValue) {
+    const message = this.createExtractionMessage(
+      ExtractionProtocol.TYPES.RESULT,
+      { extractedDays: extractedValue }
+    );
+    if (!message) {
+      console.log(
+        "PersonioOvertimeAdjuster: No extraction request (user opened tab manually), not reporting"
+      );
+      return;
+    }
+
+    if (await this.sendToBackgroundWorker(message)) {
+      console.log(
+        "PersonioOvertimeAdjuster: Result reported to background worker"
+      );
+      return;
+    }
+
+    // Auto-close with communication to parent window
+    this.scheduleCalendarPageClose(message);
+  }
+
+  /**
+   * Sends a protocol message of this extraction tab to the background worker or the parent window
+   */
+  async sendExtractionMessage(type, payload) {
+    const message = this.createExtractionMessage(type, payload);
+    if (message && !(await this.sendToBackgroundWorker(message))) {
+      this.notifyParentWindow(message);
+    }
+  }
+
+  /**
+   * Creates a protocol message for the request nonce of this tab, null if there is none
+   */
+  createExtractionMessage(type, payload) {
+    const nonce = this.getExtractionNonce();
+    return nonce
+      ? ExtractionProtocol.createMessage(type, nonce, payload)
+      : null;
+  }
+
+  /**
+   * Sends a protocol message to the background worker, returns whether it belonged to a background extraction
+   */
+  async sendToBackgroundWorker(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      return Boolean(response && response.handled);
+    } catch (error) {
+      console.log(
+        "PersonioOvertimeAdjuster: Background worker not available:",
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Reads the nonce of the extraction request that opened this calendar page
+   */
+  getExtractionNonce() {
+    try {
+      return new URL(location.href).searchParams.get("ptaNonce") || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks if the calendar page was opened by the reload button to extract all absence types
+   */
+  isExtractionRun() {
+    return this.getExtractionNonce() !== null;
+  }
+
+  /**
+   * Gets the tracked absence type following the given one, if any
+   */
+  getNextAbsenceTypeId(absenceTypeId) {
+    const absenceTypeIds = this.config.getAbsenceTypeIds();
+    const index = absenceTypeIds.indexOf(absenceTypeId);
+    return index >= 0 ? absenceTypeIds[index + 1] || null : null;
+  }
+
+  /**
+   * Sums the planned days of all tracked absence types, weighted by their overtime rule
+   */
+  calculateOvertimeDaysFromTypes(daysByType) {
+    const totalDays = this.config.get("absenceTypes").reduce((sum, type) => {
+      const days = parseFloat(daysByType[type.id] || "0") || 0;
+      return sum + days * this.config.getOvertimeFactor(type.id);
+    }, 0);
+    return totalDays.toFixed(1);
+  }
+
+  /**
+   * Describes the planned days per absence type and how they count against overtime
+   */
+  describeExtractedDaysByType() {
+    const daysByType = this.getExtractedDaysByType();
+    return this.config
+      .get("absenceTypes")
+      .filter((type) => daysByType[type.id] !== undefined)
+      .map((type) => {
+        const factor = this.config.getOvertimeFactor(type.id);
+        const rule =
+          factor === 1
+            ? Localization.getMessage("absenceTypeRuleFull")
+            : factor === 0
+            ? Localization.getMessage("absenceTypeRuleNone")
+            : Localization.getMessage("absenceTypeRulePartial", [
+                Math.round(factor * 100),
+              ]);
+        return Localization.getMessage("absenceTypeDays", [
+          type.name || type.id,
+          daysByType[type.id],
+          rule,
+        ]);
+      })
+      .join("\n");
   }
 
   /**
    * Extracts future leave days from calendar page
    */
   async extractFutureLeaveDays() {
-    // Try multiple selectors for the dialog/drawer
-    const selectors = [
-      // New dialog structure
-      '.DialogScrollSection-module__scrollSection___FljUx[data-test-id="absence-type-details-dialog-scroll-section"]',
-      // Fallback to old drawer structure
-      '.Drawer-module__RvA2hNuK__v5-6-2.AbsenceTypeDetailsDrawer-module__drawer___BLRib[data-state="show"]',
-    ];
-
-    let drawer = null;
-
-    for (const selector of selectors) {
-      drawer = await this.waitForElement(selector, 5000);
-      if (drawer) {
-        break;
-      }
+    // Wait for the dialog/drawer (new dialog, old drawer and fallbacks in the selector registry)
+    const drawer = await this.waitForElement("absenceTypeDialog", 10000);
+
+    if (this.config.get("diagnostics")) {
+      this.runDiagnostics("calendar");
     }
 
     if (!drawer) {
@@ -310,7 +769,7 @@ class PersonioOvertimeAdjuster {
     const extractedMinutes = this.extractCalendarAbsenceData(document);
 
     if (extractedMinutes !== null && extractedMinutes > 0) {
-      const daysValue = extractedMinutes / this.STANDARD_WORKDAY_MINUTES;
+      const daysValue = extractedMinutes / this.config.get("workdayMinutes");
       const formattedDays = daysValue.toFixed(1);
       return formattedDays;
     } else {
@@ -321,9 +780,9 @@ class PersonioOvertimeAdjuster {
   /**
    * Schedules calendar page to close and communicate results
    */
-  scheduleCalendarPageClose(extractedValue) {
+  scheduleCalendarPageClose(message) {
     setTimeout(() => {
-      this.notifyParentWindow(extractedValue);
+      this.notifyParentWindow(message);
 
       // Only close the window if it was opened by the extension (has an opener)
       if (window.opener && !window.opener.closed) {
@@ -342,20 +801,16 @@ class PersonioOvertimeAdjuster {
   /**
    * Notifies parent window about extraction results
    */
-  notifyParentWindow(extractedValue) {
+  notifyParentWindow(message) {
     try {
       if (window.opener && !window.opener.closed) {
         console.log(
-          "PersonioOvertimeAdjuster: Notifying parent window of extracted value:",
-          extractedValue
-        );
-        window.opener.postMessage(
-          {
-            type: "personioCalendarExtraction",
-            extractedDays: extractedValue,
-          },
-          "*"
+          "PersonioOvertimeAdjuster: Notifying parent window:",
+          message.type,
+          message.payload
         );
+        // Only the attendance page on this Personio origin may receive the result
+        window.opener.postMessage(message, location.origin);
       } else {
         console.log(
           "PersonioOvertimeAdjuster: No parent window to notify (user opened tab manually)"
@@ -370,18 +825,18 @@ class PersonioOvertimeAdjuster {
   }
 
   /**
-   * Waits for an element to appear in the DOM
+   * Waits for a registered Personio element to appear in the DOM
    */
-  waitForElement(selector, timeout = 5000) {
+  waitForElement(name, timeout = 5000) {
     return new Promise((resolve) => {
-      const existingElement = document.querySelector(selector);
+      const existingElement = this.selectors.find(name);
       if (existingElement) {
         resolve(existingElement);
         return;
       }
 
       const observer = new MutationObserver(() => {
-        const element = document.querySelector(selector);
+        const element = this.selectors.find(name);
         if (element) {
           observer.disconnect();
           resolve(element);
@@ -405,27 +860,30 @@ class PersonioOvertimeAdjuster {
   // === ATTENDANCE PAGE METHODS ===
 
   /**
-   * Starts observing the attendance page for overtime widgets
+   * Starts observing the attendance page for overtime widgets, for as long as it is open
    */
   startObservingPage() {
-    if (this.observer) {
-      this.observer.disconnect();
-    }
-
-    this.observer = new MutationObserver(() => this.checkForOvertimeWidget());
-    this.observer.observe(document.body, { childList: true, subtree: true });
-
-    this.checkForOvertimeWidget();
+    this.lifecycle.observe();
   }
 
   /**
    * Stops observing the page
    */
   stopObservingPage() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
+    this.lifecycle.disconnect();
+  }
+
+  /**
+   * Removes the extension's controls and the adjusted overtime from the page
+   */
+  removeWidget() {
+    [this.widgetRoot, this.overlayRoot].forEach((root) => {
+      if (root) {
+        root.host.remove();
+      }
+    });
+    this.widgetRoot = null;
+    this.overlayRoot = null;
   }
 
   /**
@@ -434,23 +892,50 @@ class PersonioOvertimeAdjuster {
   resetState() {
     this.originalHours = undefined;
     this.originalMinutes = undefined;
-    this.workTimePerDayInMinutes = undefined;
+    this.overtimeFormat = DurationFormat.DEFAULT_FORMAT;
+    this.overtimeReadError = null;
+    this.workSchedule = undefined;
+    this.scheduleWidget = null;
+    this.announcedOvertime = null;
+    clearTimeout(this.announcementTimeout);
+    this.stopWatchingOvertimeValue();
   }
 
   /**
-   * Checks for overtime widget and creates input field if needed
+   * Checks for the overtime widget after page changes: creates the controls, or re-injects and recomputes them
+   * when Personio replaced its overtime or schedule widget
    */
   checkForOvertimeWidget() {
     try {
-      const overtimeContainer = document.querySelector(
-        ".OvertimeWidget-module__confirmedTime___sa53y"
-      );
-      const existingInput = document.getElementById("subtractTime");
+      const overtimeContainer = this.selectors.find("overtimeValue");
+      if (!overtimeContainer) {
+        return;
+      }
 
-      if (overtimeContainer && !existingInput) {
+      if (!this.getWidgetElement("subtractTime")) {
+        // First render, or Personio re-rendered the widget and dropped the controls with it
+        this.removeWidget();
+        this.resetState();
         this.storeOriginalValues(overtimeContainer);
+        this.hasScheduleWidgetChanged();
         this.createInputField();
-        this.stopObservingPage();
+
+        if (this.config.get("diagnostics")) {
+          this.runDiagnostics("attendance");
+        }
+        return;
+      }
+
+      if (this.hasScheduleWidgetChanged()) {
+        console.log(
+          "PersonioOvertimeAdjuster: Working schedule changed, recalculating"
+        );
+        this.workSchedule = undefined;
+        this.adjustOvertime();
+        this.recordBalanceHistory();
+      } else if (!this.isOverlayAttachedTo(overtimeContainer)) {
+        // Personio replaced its overtime value, the overlay moves to the new one
+        this.adjustOvertime();
       }
     } catch (error) {
       console.error("Error checking for overtime widget:", error);
@@ -462,16 +947,12 @@ class PersonioOvertimeAdjuster {
    */
   createInputField() {
     try {
-      const containers = document.querySelectorAll(
-        ".Inline-module__inline___HVurB.Inline-module__none___ZcGAF.Inline-module__justify-space-between___KEJ7Y.Inline-module__align-center___uxLiG"
-      );
+      const containers = this.selectors.findAll("overtimeHeaderRow");
 
       containers.forEach((container, index) => {
-        const link = container.querySelector(
-          'a[href*="/attendance/employee/"][href*="/overtime"]'
-        );
+        const link = this.selectors.find("overtimeLink", container);
 
-        if (link && !container.querySelector("#subtractTime")) {
+        if (link && !this.getWidgetElement("subtractTime")) {
           this.insertInputElements(link);
         }
       });
@@ -480,34 +961,87 @@ class PersonioOvertimeAdjuster {
     }
   }
 
+  /**
+   * Gets one of the extension's controls from the widget's shadow root, null while the widget is not on the page
+   */
+  getWidgetElement(id) {
+    if (!this.widgetRoot || !this.widgetRoot.host.isConnected) {
+      return null;
+    }
+    return this.widgetRoot.getElementById(id);
+  }
+
   /**
    * Creates and inserts input elements and control buttons
    */
   insertInputElements(linkElement) {
+    // The controls live in a shadow root, styled by the widget theme instead of Personio's styles
+    const widgetHost = document.createElement("div");
+    widgetHost.id = "personioOvertimeAdjusterWidget";
     const inputContainer = this.createInputContainer();
     const { inputElement, backButton, reloadButton, labelElement } =
       this.createControlElements();
 
     // Append elements to container
-    inputContainer.append(inputElement, backButton, reloadButton, labelElement);
+    inputContainer.append(
+      inputElement,
+      this.createInputStatus(),
+      backButton,
+      reloadButton,
+      this.createExtractionStatus(),
+      labelElement,
+      this.createPlannedAmount(),
+      this.createDisplayUnitButton(),
+      this.createVisibilityButton()
+    );
 
     // Insert on the next line instead of inline
-    const parentContainer = linkElement.closest(
-      ".Inline-module__inline___HVurB.Inline-module__none___ZcGAF.Inline-module__justify-space-between___KEJ7Y.Inline-module__align-center___uxLiG"
+    const parentContainer = this.selectors.closest(
+      "overtimeHeaderRow",
+      linkElement
     );
     if (parentContainer) {
-      parentContainer.insertAdjacentElement("afterend", inputContainer);
+      parentContainer.insertAdjacentElement("afterend", widgetHost);
     } else {
-      linkElement.insertAdjacentElement("afterend", inputContainer);
+      linkElement.insertAdjacentElement("afterend", widgetHost);
     }
-
-    // Set up event listeners
-    this.setupInputEventListeners(inputElement, backButton, reloadButton);
+    this.widgetRoot = WidgetTheme.attach(widgetHost);
+    this.widgetRoot.append(inputContainer, this.createAnnouncement());
+    // The status texts are looked up in the shadow root, so fill them once the controls are in it
+    this.updateReloadButtonBorder(reloadButton);
+    this.updateInputBorderColor(
+      inputElement,
+      inputElement.value,
+      this.getExtractedDaysOff()
+    );
+
+    // Expandable list of the counted leave periods below the input, followed by the forecast
+    const leaveList = this.createLeaveList();
+    inputContainer.insertAdjacentElement("afterend", leaveList);
+    const forecastPanel = this.createForecastPanel();
+    leaveList.insertAdjacentElement("afterend", forecastPanel);
+    const planningPanel = this.createPlanningPanel();
+    forecastPanel.insertAdjacentElement("afterend", planningPanel);
+    const historyPanel = this.createHistoryPanel();
+    planningPanel.insertAdjacentElement("afterend", historyPanel);
+    const importPanel = this.createImportPanel();
+    historyPanel.insertAdjacentElement("afterend", importPanel);
+    importPanel.insertAdjacentElement("afterend", this.createExportPanel());
+
+    // Set up event listeners
+    this.setupInputEventListeners(inputElement, backButton, reloadButton);
+    this.renderOvertimeReadError();
 
     // Apply initial calculation if the field has a value
     if (inputElement.value && inputElement.value !== "0") {
       this.adjustOvertime();
     }
+
+    this.recordBalanceHistory();
+
+    if (this.pendingRefresh) {
+      this.requestRefresh();
+    }
   }
 
   /**
@@ -543,13 +1077,12 @@ class PersonioOvertimeAdjuster {
     inputElement.id = "subtractTime";
     inputElement.type = "text";
     inputElement.value = adjustedValue;
-    inputElement.title =
-      "Enter number of granted days to subtract from overtime (use . or , for decimals)";
+    inputElement.title = Localization.getMessage("inputTitle");
+    inputElement.inputMode = "decimal";
+    inputElement.setAttribute("aria-describedby", "subtractTimeInputStatus");
     inputElement.style.cssText = `
             width: 50px;
             text-align: right;
-            border: 1px solid #ccc;
-            border-radius: 4px;
             padding: 2px 4px;
         `;
 
@@ -560,15 +1093,32 @@ class PersonioOvertimeAdjuster {
     // Reload button
     const reloadButton = this.createReloadButton();
 
-    // Label
-    const labelElement = document.createElement("h2");
-    labelElement.className = "WidgetCard-module__label___ZkWrl";
-    labelElement.textContent = "planned days off";
+    // Label, bound to the input so screen readers name the field by it
+    const labelElement = document.createElement("label");
+    labelElement.id = "subtractTimeLabel";
+    labelElement.htmlFor = "subtractTime";
+    labelElement.textContent = Localization.getMessage("plannedDaysLabel");
+    labelElement.title = this.describeExtractedDaysByType();
     labelElement.style.cssText = `
             display: inline-flex;
             align-items: center;
             margin: 0;
         `;
+    // Personio's classes do not reach into the shadow root, so copy the typography of its widget labels
+    const personioLabel = this.selectors.find("widgetLabel");
+    if (personioLabel) {
+      const { fontSize, fontWeight, lineHeight, letterSpacing, color } =
+        getComputedStyle(personioLabel);
+      Object.assign(labelElement.style, {
+        fontSize,
+        fontWeight,
+        lineHeight,
+        letterSpacing,
+        color,
+      });
+    } else {
+      labelElement.style.fontSize = "14px";
+    }
 
     // Set initial border color
     this.updateInputBorderColor(inputElement, currentValue, extractedValue);
@@ -576,18 +1126,805 @@ class PersonioOvertimeAdjuster {
     return { inputElement, backButton, reloadButton, labelElement };
   }
 
+  /**
+   * Creates the expandable list of upcoming leave periods
+   */
+  createLeaveList() {
+    const leaveList = document.createElement("details");
+    leaveList.id = "subtractTimeLeaveList";
+    leaveList.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+
+    const list = document.createElement("ul");
+    list.style.cssText = `
+            margin: 2px 0 0;
+            padding-left: 16px;
+        `;
+
+    leaveList.append(summary, list);
+    this.renderLeaveList(leaveList);
+    return leaveList;
+  }
+
+  /**
+   * Fills the leave list with the stored periods
+   */
+  renderLeaveList(leaveList) {
+    const summary = leaveList.querySelector("summary");
+    const list = leaveList.querySelector("ul");
+    const periods = this.getExtractedPeriods();
+
+    list.innerHTML = "";
+
+    if (periods === null) {
+      summary.textContent = Localization.getMessage("leaveListSummary");
+      const item = document.createElement("li");
+      item.textContent = Localization.getMessage("leaveListNoDates");
+      list.appendChild(item);
+      return;
+    }
+
+    summary.textContent = Localization.getMessage("leaveListSummaryCount", [
+      periods.length,
+    ]);
+
+    if (periods.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = Localization.getMessage("leaveListEmpty");
+      list.appendChild(item);
+      return;
+    }
+
+    const today = new Date().toISOString().split("T")[0];
+    periods.forEach((period) => {
+      const item = document.createElement("li");
+      item.textContent = this.formatLeavePeriod(period);
+      if (period.status !== "approved") {
+        item.style.fontStyle = "italic";
+      }
+      if (period.endDate < today) {
+        // Taken since the last extraction, already subtracted by the adjustment
+        item.style.textDecoration = "line-through";
+        item.title = Localization.getMessage("leaveAlreadyTaken");
+      }
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Creates the expandable forecast of the overtime balance until the end of the year
+   */
+  createForecastPanel() {
+    const forecastPanel = document.createElement("details");
+    forecastPanel.id = "subtractTimeForecast";
+    forecastPanel.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+    summary.textContent = Localization.getMessage("forecastSummary");
+
+    const content = document.createElement("div");
+    forecastPanel.append(summary, content);
+    return forecastPanel;
+  }
+
+  /**
+   * Projects the overtime balance week by week until the end of the year and charts it
+   */
+  renderForecast() {
+    const forecastPanel = this.getWidgetElement("subtractTimeForecast");
+    if (
+      !forecastPanel ||
+      this.originalHours === undefined ||
+      this.originalMinutes === undefined
+    ) {
+      return;
+    }
+
+    const summary = forecastPanel.querySelector("summary");
+    const content = forecastPanel.querySelector("div");
+    const periods = this.getExtractedPeriods();
+    const scenario = this.scenarios.getActive();
+    const today = new Date().toISOString().split("T")[0];
+    const endOfYear = `${new Date().getUTCFullYear()}-12-31`;
+
+    const forecast = OvertimeForecast.project({
+      startMinutes: this.originalHours * 60 + this.originalMinutes,
+      fromDate: today,
+      toDate: endOfYear,
+      periods: (periods || []).concat(LeaveScenarios.toPeriods(scenario)),
+      schedule: this.getWorkSchedule(),
+      getOvertimeFactor: (absenceTypeId) =>
+        this.config.getOvertimeFactor(absenceTypeId),
+      dailySurplusMinutes: this.config.get("dailySurplusMinutes"),
+    });
+
+    const formatDate = (date) =>
+      new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+        day: "2-digit",
+        month: "2-digit",
+        timeZone: "UTC",
+      });
+    let summaryText = Localization.getMessage("forecastEndOfYear", [
+      scenario
+        ? Localization.getMessage("forecastScenarioSummary", [scenario.name])
+        : Localization.getMessage("forecastSummary"),
+      this.formatTimeDisplay(forecast.endMinutes),
+      formatDate(endOfYear),
+    ]);
+    // The last sign change tells from when the end-of-year balance holds
+    const lastCrossing =
+      forecast.zeroCrossings[forecast.zeroCrossings.length - 1];
+    if (lastCrossing) {
+      summaryText += ` · ${Localization.getMessage(
+        lastCrossing.direction === "negative"
+          ? "forecastNegativeFrom"
+          : "forecastPositiveFrom",
+        [formatDate(lastCrossing.date)]
+      )}`;
+    }
+    summary.textContent = summaryText;
+    summary.style.color =
+      lastCrossing && lastCrossing.direction === "negative"
+        ? "var(--adjuster-danger)"
+        : "";
+
+    const chart = OvertimeForecast.createChart(forecast, (minutes) =>
+      this.formatTimeDisplay(minutes)
+    );
+    const note = document.createElement("div");
+    note.style.color = "var(--adjuster-muted)";
+    note.textContent =
+      periods === null
+        ? Localization.getMessage("forecastNoDates")
+        : Localization.getMessage("forecastNote", [
+            this.formatTimeDisplay(this.config.get("dailySurplusMinutes")),
+          ]);
+    content.replaceChildren(chart, note);
+  }
+
+  /**
+   * Creates the expandable trend of the recorded balances
+   */
+  createHistoryPanel() {
+    const historyPanel = document.createElement("details");
+    historyPanel.id = "subtractTimeHistory";
+    historyPanel.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+
+    const content = document.createElement("div");
+    historyPanel.append(summary, content);
+    this.renderHistoryPanel(historyPanel);
+    return historyPanel;
+  }
+
+  /**
+   * Charts how the real and adjusted balances developed
+   */
+  renderHistoryPanel(historyPanel) {
+    const summary = historyPanel.querySelector("summary");
+    const content = historyPanel.querySelector("div");
+    const entries = this.history.getEntries();
+
+    if (entries.length === 0) {
+      summary.textContent = Localization.getMessage("historySummary");
+      content.textContent = Localization.getMessage("historyEmpty");
+      return;
+    }
+
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    summary.textContent = Localization.getMessage("historySummaryCount", [
+      entries.length,
+      first.date,
+    ]);
+
+    const legend = document.createElement("div");
+    legend.style.color = "var(--adjuster-muted)";
+    legend.textContent = Localization.getMessage("historyLegend", [
+      this.formatTimeDisplay(first.originalMinutes),
+      this.formatTimeDisplay(last.originalMinutes),
+      this.formatTimeDisplay(first.adjustedMinutes),
+      this.formatTimeDisplay(last.adjustedMinutes),
+    ]);
+
+    if (entries.length < 2) {
+      content.replaceChildren(legend);
+      return;
+    }
+
+    const chart = BalanceHistory.createChart(entries, (minutes) =>
+      this.formatTimeDisplay(minutes)
+    );
+    content.replaceChildren(chart, legend);
+  }
+
+  /**
+   * Records today's real overtime, planned days and adjusted overtime (without what-if scenarios)
+   */
+  recordBalanceHistory() {
+    try {
+      const snapshot = this.getBalanceSnapshot();
+      if (!snapshot) {
+        return;
+      }
+      this.history.record(snapshot);
+      this.publishSnapshot(snapshot);
+
+      const historyPanel = this.getWidgetElement("subtractTimeHistory");
+      if (historyPanel) {
+        this.renderHistoryPanel(historyPanel);
+      }
+    } catch (error) {
+      console.error("Error recording balance history:", error);
+    }
+  }
+
+  /**
+   * Gets today's real overtime, planned days and adjusted overtime, null without a readable overtime widget
+   */
+  getBalanceSnapshot() {
+    if (
+      this.originalHours === undefined ||
+      this.originalMinutes === undefined
+    ) {
+      const overtimeContainer = this.selectors.find("overtimeValue");
+      if (!overtimeContainer) {
+        return null;
+      }
+      this.storeOriginalValues(overtimeContainer);
+      if (this.originalHours === undefined) {
+        return null;
+      }
+    }
+    const today = new Date().toISOString().split("T")[0];
+    const extractedValue = this.getExtractedDaysOff();
+    const plannedDays =
+      extractedValue === null
+        ? 0
+        : Math.max(
+            0,
+            parseFloat(extractedValue) - this.calculateTimeOffAdjustment()
+          );
+    const periods = this.getExtractedPeriods();
+    const plannedMinutes =
+      periods !== null
+        ? this.calculatePlannedLeaveMinutes(periods)
+        : this.convertDaysToMinutes(plannedDays);
+    const originalMinutes = this.originalHours * 60 + this.originalMinutes;
+
+    return {
+      date: today,
+      originalMinutes,
+      plannedDays: Math.round(plannedDays * 10) / 10,
+      adjustedMinutes: Math.round(originalMinutes - plannedMinutes),
+      schedule: this.getWorkSchedule().getEntryForDate(today).minutes,
+    };
+  }
+
+  /**
+   * Publishes the balance and upcoming leave to chrome.storage.local, where the toolbar popup reads them
+   */
+  publishSnapshot(snapshot) {
+    const today = new Date().toISOString().split("T")[0];
+    const periods = this.getExtractedPeriods();
+
+    this.snapshotWrite = chrome.storage.local
+      .set({
+        [this.snapshotKey]: {
+          ...snapshot,
+          updatedAt: new Date().toISOString(),
+          attendanceUrl: `${location.origin}${location.pathname}`,
+          overtimeFormat: this.overtimeFormat,
+          lastExtractionDate: this.getLastExtractionDate(),
+          periods:
+            periods === null
+              ? null
+              : periods
+                  .filter((period) => period.endDate >= today)
+                  .map((period) => ({
+                    ...period,
+                    absenceTypeName: this.getAbsenceTypeName(period),
+                  })),
+        },
+      })
+      .catch((error) => {
+        console.error(
+          "PersonioOvertimeAdjuster: Error publishing snapshot:",
+          error
+        );
+      });
+  }
+
+  /**
+   * Creates the expandable panel to import planned leave from an .ics file
+   */
+  createImportPanel() {
+    const importPanel = document.createElement("details");
+    importPanel.id = "subtractTimeImport";
+    importPanel.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+
+    const form = document.createElement("div");
+    form.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            gap: 2px;
+            align-items: center;
+            margin-top: 2px;
+        `;
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".ics,text/calendar";
+    fileInput.title = Localization.getMessage("importFileTitle");
+
+    const typeSelect = document.createElement("select");
+    typeSelect.title = Localization.getMessage("importTypeTitle");
+    this.config
+      .get("absenceTypes")
+      .forEach((type) =>
+        typeSelect.add(new Option(type.name || type.id, type.id))
+      );
+
+    const importButton = document.createElement("button");
+    importButton.type = "button";
+    importButton.textContent = Localization.getMessage("importButton");
+    importButton.title = Localization.getMessage("importButtonTitle");
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.textContent = Localization.getMessage("importClear");
+    clearButton.title = Localization.getMessage("importClearTitle");
+
+    const status = document.createElement("div");
+    status.style.cssText = `
+            color: var(--adjuster-muted);
+            width: 100%;
+        `;
+
+    const renderSummary = () => {
+      const count = this.getImportedPeriods().length;
+      summary.textContent =
+        count > 0
+          ? Localization.getMessage("importSummaryCount", [count])
+          : Localization.getMessage("importSummary");
+    };
+
+    importButton.addEventListener("click", async () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        status.textContent = Localization.getMessage("importNoFile");
+        return;
+      }
+      try {
+        const { count, skipped, overtimeDays } = await this.importLeaveFromIcs(
+          file,
+          typeSelect.value
+        );
+        status.textContent = Localization.getMessage("importDone", [
+          count,
+          file.name,
+        ]);
+        if (skipped.partial > 0 || skipped.recurring > 0) {
+          status.textContent += ` ${Localization.getMessage("importSkipped", [
+            skipped.partial,
+            skipped.recurring,
+          ])}`;
+        }
+        renderSummary();
+        this.handleCalendarExtractionResult(overtimeDays);
+      } catch (error) {
+        console.error(
+          "PersonioOvertimeAdjuster: Error importing leave:",
+          error
+        );
+        status.textContent = error.message;
+      }
+    });
+
+    clearButton.addEventListener("click", () => {
+      const overtimeDays = this.clearImportedLeave();
+      status.textContent = Localization.getMessage("importCleared");
+      renderSummary();
+      this.handleCalendarExtractionResult(overtimeDays);
+    });
+
+    renderSummary();
+    form.append(fileInput, typeSelect, importButton, clearButton, status);
+    importPanel.append(summary, form);
+    return importPanel;
+  }
+
+  /**
+   * Creates the expandable panel with the export actions
+   */
+  createExportPanel() {
+    const exportPanel = document.createElement("details");
+    exportPanel.id = "subtractTimeExport";
+    exportPanel.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+    summary.textContent = Localization.getMessage("exportSummary");
+
+    const actions = document.createElement("div");
+    actions.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            gap: 2px;
+            margin-top: 2px;
+        `;
+    [
+      ["exportPeriodsCsv", "periods.csv"],
+      ["exportPeriodsIcs", "periods.ics"],
+      ["exportHistoryCsv", "history.csv"],
+      ["exportJson", "data.json"],
+    ].forEach(([messageName, file]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = Localization.getMessage(messageName);
+      button.title = Localization.getMessage(`${messageName}Title`);
+      button.addEventListener("click", () => this.exportData(file));
+      actions.appendChild(button);
+    });
+
+    exportPanel.append(summary, actions);
+    return exportPanel;
+  }
+
+  /**
+   * Downloads one of the export files ("periods.csv", "periods.ics", "history.csv" or "data.json")
+   */
+  exportData(file) {
+    try {
+      const exportedAt = new Date();
+      const periods = this.getExtractedPeriods() || [];
+      const getTypeName = (period) => this.getAbsenceTypeName(period);
+      const getOvertimeFactor = (absenceTypeId) =>
+        this.config.getOvertimeFactor(absenceTypeId);
+      const filename = `personio-overtime-${
+        exportedAt.toISOString().split("T")[0]
+      }-${file}`;
+
+      switch (file) {
+        case "periods.csv":
+          DataExport.download(
+            filename,
+            DataExport.periodsToCsv(periods, getTypeName, getOvertimeFactor),
+            "text/csv;charset=utf-8"
+          );
+          break;
+        case "periods.ics":
+          DataExport.download(
+            filename,
+            DataExport.periodsToIcs(periods, getTypeName, exportedAt),
+            "text/calendar;charset=utf-8"
+          );
+          break;
+        case "history.csv":
+          DataExport.download(
+            filename,
+            DataExport.historyToCsv(this.history.getEntries()),
+            "text/csv;charset=utf-8"
+          );
+          break;
+        default:
+          DataExport.download(
+            filename,
+            JSON.stringify(
+              {
+                format: "personio-overtime-adjuster",
+                version: 1,
+                exportedAt: exportedAt.toISOString(),
+                lastExtractionDate: this.getLastExtractionDate(),
+                balance: this.getBalanceSnapshot(),
+                periods: periods.map((period) => ({
+                  ...period,
+                  absenceTypeName: getTypeName(period),
+                  overtimeFactor: getOvertimeFactor(period.absenceTypeId),
+                })),
+                history: this.history.getEntries(),
+              },
+              null,
+              2
+            ),
+            "application/json"
+          );
+      }
+    } catch (error) {
+      console.error("PersonioOvertimeAdjuster: Error exporting data:", error);
+    }
+  }
+
+  /**
+   * Gets the display name of a period's absence type (configured name, Personio's name or the id)
+   */
+  getAbsenceTypeName(period) {
+    const type = this.config
+      .get("absenceTypes")
+      .find((absenceType) => absenceType.id === period.absenceTypeId);
+    return (
+      (type && type.name) || period.absenceTypeName || period.absenceTypeId
+    );
+  }
+
+  /**
+   * Formats a leave period as "Mon, 04/08/2025 – Fri, 08/08/2025 · 5 days · Type · approved"
+   */
+  formatLeavePeriod(period) {
+    const formatDate = (date) =>
+      new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+        weekday: "short",
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+        timeZone: "UTC",
+      });
+
+    let dates = formatDate(period.startDate);
+    if (period.halfDayStart) {
+      dates += " (½)";
+    }
+    if (period.endDate !== period.startDate) {
+      dates += ` – ${formatDate(period.endDate)}`;
+      if (period.halfDayEnd) {
+        dates += " (½)";
+      }
+    }
+
+    const days = LeavePeriods.getTotalDays(period);
+    const duration =
+      period.hours !== null
+        ? Localization.getMessage("leaveDurationHours", [days, period.hours])
+        : Localization.getMessage("leaveDuration", [days]);
+    let status = this.formatLeaveStatus(period.status);
+    if (period.hypothetical) {
+      status = Localization.getMessage("leaveStatusWhatIf");
+    } else if (period.imported) {
+      status = Localization.getMessage("leaveStatusImported");
+    }
+
+    return [dates, duration, this.getAbsenceTypeName(period), status].join(
+      " · "
+    );
+  }
+
+  /**
+   * Translates Personio's leave status ("approved", "pending"), other statuses are shown as they are
+   */
+  formatLeaveStatus(status) {
+    const messageNames = {
+      approved: "leaveStatusApproved",
+      pending: "leaveStatusPending",
+    };
+    return messageNames[status]
+      ? Localization.getMessage(messageNames[status])
+      : status;
+  }
+
+  /**
+   * Creates the expandable what-if planning panel
+   */
+  createPlanningPanel() {
+    const planningPanel = document.createElement("details");
+    planningPanel.id = "subtractTimePlanning";
+    planningPanel.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+
+    const summary = document.createElement("summary");
+
+    const content = document.createElement("div");
+    planningPanel.append(summary, content);
+    this.renderPlanningPanel(planningPanel);
+    return planningPanel;
+  }
+
+  /**
+   * Fills the planning panel: scenario switcher, the active scenario's leave blocks and a form to add one
+   */
+  renderPlanningPanel(planningPanel) {
+    const summary = planningPanel.querySelector("summary");
+    const content = planningPanel.querySelector("div");
+    const { scenarios } = this.scenarios.load();
+    const scenario = this.scenarios.getActive();
+
+    summary.textContent = scenario
+      ? Localization.getMessage("planningSummaryActive", [scenario.name])
+      : Localization.getMessage("planningSummary");
+    summary.style.color = scenario ? "var(--adjuster-scenario)" : "";
+
+    // Scenario switcher
+    const switcher = document.createElement("div");
+    switcher.style.cssText = `
+            display: flex;
+            gap: 2px;
+            align-items: center;
+            margin-top: 2px;
+        `;
+
+    const scenarioSelect = document.createElement("select");
+    scenarioSelect.title = Localization.getMessage("planningScenarioTitle");
+    scenarioSelect.add(
+      new Option(Localization.getMessage("planningActualLeave"), "")
+    );
+    scenarios.forEach((candidate) =>
+      scenarioSelect.add(new Option(candidate.name, candidate.id))
+    );
+    scenarioSelect.value = scenario ? scenario.id : "";
+    scenarioSelect.addEventListener("change", () => {
+      this.scenarios.setActive(scenarioSelect.value || null);
+      this.refreshPlanning();
+    });
+
+    const newButton = document.createElement("button");
+    newButton.type = "button";
+    newButton.textContent = Localization.getMessage("planningNew");
+    newButton.title = Localization.getMessage("planningNewTitle");
+    newButton.addEventListener("click", () => {
+      const name = window.prompt(
+        Localization.getMessage("planningNamePrompt"),
+        ""
+      );
+      if (name !== null) {
+        this.scenarios.create(
+          name.trim() || Localization.getMessage("planningDefaultName")
+        );
+        this.refreshPlanning();
+      }
+    });
+
+    switcher.append(scenarioSelect, newButton);
+
+    if (scenario) {
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = Localization.getMessage("planningDelete");
+      deleteButton.title = Localization.getMessage("planningDeleteTitle", [
+        scenario.name,
+      ]);
+      deleteButton.addEventListener("click", () => {
+        if (
+          window.confirm(
+            Localization.getMessage("planningDeleteConfirm", [scenario.name])
+          )
+        ) {
+          this.scenarios.remove(scenario.id);
+          this.refreshPlanning();
+        }
+      });
+      switcher.appendChild(deleteButton);
+    }
+
+    if (!scenario) {
+      content.replaceChildren(switcher);
+      return;
+    }
+
+    // Hypothetical leave blocks of the active scenario
+    const list = document.createElement("ul");
+    list.style.cssText = `
+            margin: 2px 0 0;
+            padding-left: 16px;
+        `;
+    LeaveScenarios.toPeriods(scenario).forEach((period, index) => {
+      const item = document.createElement("li");
+      item.textContent = `${this.formatLeavePeriod(period)} `;
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.textContent = "✕";
+      removeButton.title = Localization.getMessage("planningRemoveBlockTitle");
+      removeButton.setAttribute("aria-label", removeButton.title);
+      removeButton.addEventListener("click", () => {
+        this.scenarios.removeBlock(scenario.id, index);
+        this.refreshPlanning();
+      });
+
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+    if (scenario.blocks.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = Localization.getMessage("planningEmpty");
+      list.appendChild(item);
+    }
+
+    // Form to add a block
+    const addForm = document.createElement("div");
+    addForm.style.cssText = `
+            display: flex;
+            gap: 2px;
+            align-items: center;
+            margin-top: 2px;
+        `;
+
+    const startInput = document.createElement("input");
+    startInput.type = "date";
+    startInput.title = Localization.getMessage("planningStartTitle");
+
+    const endInput = document.createElement("input");
+    endInput.type = "date";
+    endInput.title = Localization.getMessage("planningEndTitle");
+    startInput.addEventListener("change", () => {
+      if (!endInput.value || endInput.value < startInput.value) {
+        endInput.value = startInput.value;
+      }
+    });
+
+    const typeSelect = document.createElement("select");
+    typeSelect.title = Localization.getMessage("planningTypeTitle");
+    this.config
+      .get("absenceTypes")
+      .forEach((type) =>
+        typeSelect.add(new Option(type.name || type.id, type.id))
+      );
+
+    const addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.textContent = Localization.getMessage("planningAdd");
+    addButton.title = Localization.getMessage("planningAddTitle");
+    addButton.addEventListener("click", () => {
+      const added = this.scenarios.addBlock(scenario.id, {
+        startDate: startInput.value,
+        endDate: endInput.value,
+        absenceTypeId: typeSelect.value,
+      });
+      if (added) {
+        this.refreshPlanning();
+      } else {
+        [startInput, endInput].forEach((input) => {
+          input.dataset.status = "invalid";
+          input.setAttribute("aria-invalid", "true");
+        });
+      }
+    });
+
+    addForm.append(startInput, endInput, typeSelect, addButton);
+    content.replaceChildren(switcher, list, addForm);
+  }
+
+  /**
+   * Re-renders the planning panel and the balance after a scenario change
+   */
+  refreshPlanning() {
+    const planningPanel = this.getWidgetElement("subtractTimePlanning");
+    if (planningPanel) {
+      this.renderPlanningPanel(planningPanel);
+    }
+    this.adjustOvertime();
+  }
+
   /**
    * Creates the back button
    */
   createBackButton(currentValue, extractedValue) {
     const backButton = document.createElement("button");
+    backButton.id = "subtractTimeBack";
     backButton.textContent = "↩";
-    backButton.title = "Restore extracted future days off value";
+    backButton.title = Localization.getMessage("backButtonTitle");
+    backButton.setAttribute("aria-label", backButton.title);
     backButton.style.cssText = `
             margin-left: 2px;
             padding: 2px 6px;
-            border: 1px solid #ccc;
-            border-radius: 4px;
             cursor: pointer;
             font-size: 12px;
         `;
@@ -611,13 +1948,20 @@ class PersonioOvertimeAdjuster {
    */
   createReloadButton() {
     const reloadButton = document.createElement("button");
+    reloadButton.id = "subtractTimeReload";
     reloadButton.textContent = "↺";
-    reloadButton.title = "Open calendar page to extract upcoming leave days";
+    reloadButton.title = Localization.getMessage("reloadButtonTitle");
+    reloadButton.setAttribute(
+      "aria-label",
+      Localization.getMessage("reloadButtonLabel")
+    );
+    reloadButton.setAttribute(
+      "aria-describedby",
+      "subtractTimeExtractionStatus"
+    );
     reloadButton.style.cssText = `
             margin-left: 2px;
             padding: 2px 6px;
-            border: 1px solid #ccc;
-            border-radius: 4px;
             cursor: pointer;
             font-size: 12px;
         `;
@@ -628,6 +1972,242 @@ class PersonioOvertimeAdjuster {
     return reloadButton;
   }
 
+  /**
+   * Creates the word stating the extraction status, so it does not rely on the reload button's colour
+   */
+  createExtractionStatus() {
+    const extractionStatus = document.createElement("span");
+    extractionStatus.id = "subtractTimeExtractionStatus";
+    extractionStatus.style.cssText = `
+            font-size: 12px;
+            margin-left: 2px;
+        `;
+    return extractionStatus;
+  }
+
+  /**
+   * Shows an extraction status (never, stale, adjusted, current, loading, succeeded or failed) next to the reload button
+   */
+  updateExtractionStatus(status) {
+    const extractionStatus = this.getWidgetElement(
+      "subtractTimeExtractionStatus"
+    );
+    if (!extractionStatus) {
+      return;
+    }
+    const messageNames = {
+      never: "extractionStatusNever",
+      stale: "extractionStatusStale",
+      adjusted: "extractionStatusAdjusted",
+      current: "extractionStatusCurrent",
+      loading: "extractionStatusLoading",
+      succeeded: "extractionStatusSucceeded",
+      failed: "extractionStatusFailed",
+    };
+    extractionStatus.dataset.status = status;
+    extractionStatus.textContent = Localization.getMessage(
+      messageNames[status]
+    );
+  }
+
+  /**
+   * Creates the visually hidden description of the input's value (extracted, changed or invalid)
+   */
+  createInputStatus() {
+    const inputStatus = document.createElement("span");
+    inputStatus.id = "subtractTimeInputStatus";
+    inputStatus.className = "visually-hidden";
+    return inputStatus;
+  }
+
+  /**
+   * Creates the live region announcing the adjusted overtime to screen readers
+   */
+  createAnnouncement() {
+    const announcement = document.createElement("div");
+    announcement.id = "subtractTimeAnnouncement";
+    announcement.className = "visually-hidden";
+    announcement.setAttribute("role", "status");
+    announcement.setAttribute("aria-live", "polite");
+    return announcement;
+  }
+
+  /**
+   * Announces a changed adjusted overtime once typing has settled, the first value is only remembered
+   */
+  announceAdjustedOvertime(text) {
+    clearTimeout(this.announcementTimeout);
+    if (this.announcedOvertime === null) {
+      this.announcedOvertime = text;
+      return;
+    }
+    this.announcementTimeout = setTimeout(() => {
+      const announcement = this.getWidgetElement("subtractTimeAnnouncement");
+      if (announcement && text !== this.announcedOvertime) {
+        this.announcedOvertime = text;
+        announcement.textContent = Localization.getMessage(
+          "adjustedOvertimeAnnouncement",
+          [text]
+        );
+      }
+    }, 1000);
+  }
+
+  /**
+   * Creates the note showing the planned days off in the display unit
+   */
+  createPlannedAmount() {
+    const plannedAmount = document.createElement("span");
+    plannedAmount.id = "subtractTimePlannedAmount";
+    plannedAmount.title = Localization.getMessage("plannedAmountTitle");
+    plannedAmount.style.cssText = `
+            font-size: 12px;
+            color: var(--adjuster-muted);
+            margin-left: 4px;
+        `;
+    return plannedAmount;
+  }
+
+  /**
+   * Shows the overtime subtracted for the planned days off in the display unit
+   */
+  updatePlannedAmount(valueToSubtractInMinutes) {
+    const plannedAmount = this.getWidgetElement("subtractTimePlannedAmount");
+    if (!plannedAmount) {
+      return;
+    }
+    plannedAmount.textContent =
+      valueToSubtractInMinutes > 0
+        ? Localization.getMessage("plannedAmount", [
+            this.formatTimeDisplay(valueToSubtractInMinutes),
+          ])
+        : "";
+  }
+
+  /**
+   * Creates the button switching the display unit of the overtime values
+   */
+  createDisplayUnitButton() {
+    const unitButton = document.createElement("button");
+    unitButton.id = "subtractTimeUnit";
+    unitButton.style.cssText = `
+            margin-left: 4px;
+            padding: 2px 6px;
+            cursor: pointer;
+            font-size: 12px;
+        `;
+    unitButton.addEventListener("click", () => this.switchDisplayUnit());
+    this.updateDisplayUnitButton(unitButton);
+    return unitButton;
+  }
+
+  /**
+   * Updates the unit button's label and the unit it switches to
+   */
+  updateDisplayUnitButton(
+    unitButton = this.getWidgetElement("subtractTimeUnit")
+  ) {
+    if (!unitButton) {
+      return;
+    }
+    const [shortName, name] = this.DISPLAY_UNITS[this.getDisplayUnit()];
+    const nextName = this.DISPLAY_UNITS[this.getNextDisplayUnit()][1];
+    unitButton.textContent = Localization.getMessage(shortName);
+    unitButton.title = Localization.getMessage("displayUnitButtonTitle", [
+      Localization.getMessage(name),
+      Localization.getMessage(nextName),
+    ]);
+    unitButton.setAttribute("aria-label", unitButton.title);
+  }
+
+  /**
+   * Gets the unit overtime values are shown in ("personio" resolves to the unit of Personio's own value)
+   */
+  getDisplayUnit() {
+    const displayUnit = this.config.get("displayUnit");
+    if (displayUnit !== "personio") {
+      return displayUnit;
+    }
+    return this.overtimeFormat.style === "decimal" ? "decimal" : "hm";
+  }
+
+  /**
+   * Gets the unit the unit button switches to
+   */
+  getNextDisplayUnit() {
+    const units = Object.keys(this.DISPLAY_UNITS);
+    const index = units.indexOf(this.getDisplayUnit());
+    return units[(index + 1) % units.length];
+  }
+
+  /**
+   * Saves the next display unit, the config change listener re-renders the widget
+   */
+  async switchDisplayUnit() {
+    try {
+      await this.config.save({
+        ...this.config.values,
+        displayUnit: this.getNextDisplayUnit(),
+      });
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error saving display unit:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Creates the button hiding or showing the adjusted overtime next to Personio's value
+   */
+  createVisibilityButton() {
+    const visibilityButton = document.createElement("button");
+    visibilityButton.id = "subtractTimeVisibility";
+    visibilityButton.textContent = "👁";
+    visibilityButton.setAttribute(
+      "aria-label",
+      Localization.getMessage("adjustmentVisibilityLabel")
+    );
+    visibilityButton.style.cssText = `
+            margin-left: 2px;
+            padding: 2px 6px;
+            cursor: pointer;
+            font-size: 12px;
+        `;
+    visibilityButton.addEventListener("click", async () => {
+      try {
+        await this.config.save({
+          ...this.config.values,
+          showAdjustment: !this.config.get("showAdjustment"),
+        });
+      } catch (error) {
+        console.error(
+          "PersonioOvertimeAdjuster: Error saving adjustment visibility:",
+          error
+        );
+      }
+    });
+    this.updateVisibilityButton(visibilityButton);
+    return visibilityButton;
+  }
+
+  /**
+   * Updates the visibility button to the current setting
+   */
+  updateVisibilityButton(
+    visibilityButton = this.getWidgetElement("subtractTimeVisibility")
+  ) {
+    if (!visibilityButton) {
+      return;
+    }
+    const isShown = this.config.get("showAdjustment");
+    visibilityButton.dataset.status = isShown ? "shown" : "hidden";
+    visibilityButton.setAttribute("aria-pressed", String(isShown));
+    visibilityButton.title = Localization.getMessage(
+      isShown ? "hideAdjustmentTitle" : "showAdjustmentTitle"
+    );
+  }
+
   /**
    * Sets up event listeners for input elements
    */
@@ -637,6 +2217,13 @@ class PersonioOvertimeAdjuster {
     inputElement.addEventListener("blur", () =>
       this.validateInput(inputElement)
     );
+    // Escape restores the extracted value, like the back button
+    inputElement.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && backButton.style.display !== "none") {
+        event.preventDefault();
+        this.handleBackButtonClick(inputElement, backButton);
+      }
+    });
 
     // Back button - restore extracted value
     backButton.addEventListener("click", () =>
@@ -667,115 +2254,420 @@ class PersonioOvertimeAdjuster {
       this.adjustOvertime();
 
       this.updateInputBorderColor(inputElement, adjustedValue, extractedValue);
+      // Keep keyboard focus on the widget when the focused back button disappears
+      if (this.widgetRoot.activeElement === backButton) {
+        inputElement.focus();
+      }
       backButton.style.display = "none";
 
-      const reloadButton = document.querySelector(
-        'button[title*="extract upcoming leave days"], button[title*="refresh upcoming leave days"]'
+      const reloadButton = this.getWidgetElement("subtractTimeReload");
+      if (reloadButton) {
+        this.updateReloadButtonBorder(reloadButton);
+      }
+    }
+  }
+
+  /**
+   * Handles reload button click to open calendar
+   */
+  async handleReloadButtonClick(reloadButton) {
+    delete reloadButton.dataset.status;
+    this.updateExtractionStatus("loading");
+    const request = this.startExtractionRequest();
+    const extractionSource = this.config.get("extractionSource");
+
+    if (extractionSource !== "dom") {
+      reloadButton.disabled = true;
+      reloadButton.textContent = "…";
+      reloadButton.title = Localization.getMessage("reloadButtonLoadingTitle");
+
+      const extractedDays = await this.extractFromDataEndpoint();
+      if (this.extractionRequest !== request) {
+        // Timed out meanwhile
+        return;
+      }
+      if (extractedDays !== null || extractionSource === "api") {
+        this.finishExtractionRequest();
+        this.handleCalendarExtractionResult(
+          extractedDays,
+          Localization.getMessage("extractionDataEndpointFailed")
+        );
+        return;
+      }
+
+      this.resetReloadButton(reloadButton);
+      console.log(
+        "PersonioOvertimeAdjuster: Data endpoint failed, falling back to calendar page"
+      );
+    }
+
+    const calendarUrl = this.buildCalendarUrl(undefined, request.nonce);
+    reloadButton.disabled = true;
+    reloadButton.textContent = "…";
+
+    // Prefer an inactive background tab, fall back to a popup tab
+    if (await this.startBackgroundExtraction(calendarUrl, request.nonce)) {
+      reloadButton.title = Localization.getMessage(
+        "reloadButtonBackgroundTitle"
+      );
+      return;
+    }
+
+    request.window = window.open(calendarUrl, "_blank");
+    if (!request.window) {
+      this.finishExtractionRequest();
+      this.handleCalendarExtractionResult(
+        null,
+        Localization.getMessage("extractionCalendarBlocked")
+      );
+      return;
+    }
+    reloadButton.title = Localization.getMessage(
+      "reloadButtonCalendarTabTitle"
+    );
+  }
+
+  /**
+   * Asks the background worker to run the calendar extraction in an inactive tab
+   */
+  async startBackgroundExtraction(calendarUrl, nonce) {
+    try {
+      const response = await chrome.runtime.sendMessage(
+        ExtractionProtocol.createMessage(
+          ExtractionProtocol.TYPES.REQUEST,
+          nonce,
+          { url: calendarUrl }
+        )
+      );
+      return Boolean(response && response.started);
+    } catch (error) {
+      console.log(
+        "PersonioOvertimeAdjuster: Background extraction not available:",
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Extracts planned leave days from Personio's absence data endpoint, returns null on failure
+   */
+  async extractFromDataEndpoint() {
+    const employeeId = this.getEmployeeIdFromUrl();
+    if (!employeeId) {
+      return null;
+    }
+
+    try {
+      const api = new PersonioAbsenceApi({
+        baseUrl: this.config.get("absenceDataBaseUrl") || location.origin,
+        path: this.config.get("absenceDataPath"),
+      });
+
+      const today = new Date().toISOString().split("T")[0];
+      const endDate = `${new Date().getUTCFullYear() + 1}-12-31`;
+      const periods = await api.fetchAbsencePeriods({
+        employeeId,
+        startDate: today,
+        endDate,
+      });
+
+      const overtimeDays = this.saveLeavePeriods(periods);
+      this.saveLastExtractionDate();
+
+      console.log(
+        "PersonioOvertimeAdjuster: Extracted from data endpoint:",
+        periods.length,
+        "periods,",
+        overtimeDays,
+        "days"
+      );
+      return overtimeDays;
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error extracting from data endpoint:",
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Saves dated leave periods as the current extraction: days per type, the periods themselves and the weighted total
+   */
+  saveLeavePeriods(periods) {
+    const today = new Date().toISOString().split("T")[0];
+    const absenceTypeIds = this.config.getAbsenceTypeIds();
+    const schedule = this.getWorkSchedule();
+    const daysByType = LeavePeriods.sumPlannedDaysByType(
+      periods,
+      today,
+      absenceTypeIds,
+      (date) => schedule.isWorkday(date)
+    );
+    // Replaces the counts of earlier extractions, including types no longer tracked
+    this.storage.set(this.extractedDaysByTypeKey, daysByType);
+
+    this.saveExtractedPeriods(
+      periods
+        .filter(
+          (period) =>
+            absenceTypeIds.includes(period.absenceTypeId) &&
+            period.endDate >= today
+        )
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))
+    );
+    return this.saveLeaveWithImports();
+  }
+
+  /**
+   * Adds the imported leave to the extracted days per type and saves the weighted total
+   *
+   * Imported days that extracted periods cover are left out. Without extracted dates imported leave could
+   * already be counted by Personio, so none of it is added until a dated extraction.
+   */
+  saveLeaveWithImports() {
+    const extractedPeriods = this.getExtractedPeriods();
+    let importedPeriods = [];
+    if (extractedPeriods !== null) {
+      const periods = LeavePeriods.mergeImported(
+        extractedPeriods.filter((period) => !period.imported),
+        this.getImportedPeriods()
+      );
+      this.saveExtractedPeriods(periods);
+      importedPeriods = periods.filter((period) => period.imported);
+    }
+
+    const schedule = this.getWorkSchedule();
+    const importedDaysByType = LeavePeriods.sumPlannedDaysByType(
+      importedPeriods,
+      new Date().toISOString().split("T")[0],
+      this.config.getAbsenceTypeIds(),
+      (date) => schedule.isWorkday(date)
+    );
+    const daysByType = this.getExtractedDaysByType();
+    Object.keys(importedDaysByType).forEach((absenceTypeId) => {
+      daysByType[absenceTypeId] = (
+        (parseFloat(daysByType[absenceTypeId] || "0") || 0) +
+        parseFloat(importedDaysByType[absenceTypeId])
+      ).toFixed(1);
+    });
+
+    const overtimeDays = this.calculateOvertimeDaysFromTypes(daysByType);
+    this.saveExtractedDaysOff(overtimeDays);
+    return overtimeDays;
+  }
+
+  /**
+   * Imports planned leave from an .ics file and feeds it into the extracted leave
+   *
+   * Only all-day events and events lasting a day or more count as leave. Repeating events are skipped,
+   * as their single dates are not expanded.
+   */
+  async importLeaveFromIcs(file, absenceTypeId) {
+    // Imported days are compared with Personio's leave by date, so the extraction needs dates
+    if (this.getExtractedPeriods() === null) {
+      throw new Error(Localization.getMessage("importNeedsDates"));
+    }
+
+    const events = IcsParser.parse(await file.text());
+    const skipped = {
+      partial: events.filter((event) => !event.wholeDays).length,
+      recurring: events.filter((event) => event.wholeDays && event.recurring)
+        .length,
+    };
+    const importedPeriods = events
+      .filter((event) => event.wholeDays && !event.recurring)
+      .map((event) =>
+        LeavePeriods.normalize({
+          startDate: event.startDate,
+          endDate: event.endDate,
+          absenceTypeId,
+          status: "approved",
+        })
+      )
+      .filter(Boolean)
+      .map((period) => ({ ...period, imported: true }));
+
+    // A new import replaces earlier imported leave on the same days
+    const allImported = LeavePeriods.mergeImported(
+      importedPeriods,
+      this.getImportedPeriods()
+    );
+    this.saveImportedPeriods(allImported);
+
+    const overtimeDays = this.saveLeaveWithImports();
+    console.log(
+      "PersonioOvertimeAdjuster: Imported",
+      importedPeriods.length,
+      "periods from",
+      file.name,
+      "skipped:",
+      skipped
+    );
+    return { count: importedPeriods.length, skipped, overtimeDays };
+  }
+
+  /**
+   * Removes all imported leave and recalculates the extracted leave without it
+   */
+  clearImportedLeave() {
+    this.saveImportedPeriods([]);
+    return this.saveLeaveWithImports();
+  }
+
+  /**
+   * Reads the employee id from the attendance page URL
+   */
+  getEmployeeIdFromUrl() {
+    const match = location.pathname.match(/\/attendance\/employee\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Builds the calendar URL of an extraction request for the configured host (first tracked absence type by default)
+   */
+  buildCalendarUrl(absenceTypeId = this.config.getAbsenceTypeIds()[0], nonce) {
+    const host = this.config.get("personioHost") || location.host;
+    const url = new URL(`https://${host}/calendar/me/monthly`);
+    url.searchParams.set("absenceTypeId", absenceTypeId);
+    url.searchParams.set("ptaNonce", nonce);
+    return url.toString();
+  }
+
+  // === STORAGE METHODS ===
+
+  /**
+   * Gets extracted days off from storage
+   */
+  getExtractedDaysOff() {
+    return this.storage.get(this.extractedDaysOffKey) || "0";
+  }
+
+  /**
+   * Saves extracted days off to storage
+   */
+  saveExtractedDaysOff(value) {
+    console.log(
+      "PersonioOvertimeAdjuster: Attempting to save extracted days:",
+      value,
+      "on URL:",
+      location.href
+    );
+
+    // Only save if we're on the correct extraction page, the attendance page
+    // (data endpoint extraction) or if the value is not "0"
+    // This prevents overwriting valid data with "0" from wrong pages
+    if (
+      !this.isCalendarExtractionPage() &&
+      !this.isAttendancePage() &&
+      value === "0"
+    ) {
+      console.log(
+        'PersonioOvertimeAdjuster: Prevented saving "0" on non-extraction page'
       );
-      if (reloadButton) {
-        this.updateReloadButtonBorder(reloadButton);
-      }
+      return;
     }
+
+    this.storage.set(this.extractedDaysOffKey, value);
+    console.log("PersonioOvertimeAdjuster: Saved extracted days:", value);
   }
 
   /**
-   * Handles reload button click to open calendar
+   * Gets the extracted planned days per absence type from storage
    */
-  handleReloadButtonClick(reloadButton) {
-    const calendarUrl = this.buildCalendarUrl();
-    window.open(calendarUrl, "_blank");
+  getExtractedDaysByType() {
+    return { ...this.storage.get(this.extractedDaysByTypeKey, {}) };
   }
 
   /**
-   * Builds the calendar URL for the current company
+   * Saves the extracted planned days of one absence type to storage
    */
-  buildCalendarUrl() {
-    const urlMatch = window.location.href.match(
-      /https:\/\/([^.]+)\.app\.personio\.com/
-    );
-    const companySubdomain = urlMatch ? urlMatch[1] : "timetoact-group";
-    return `https://${companySubdomain}.app.personio.com/calendar/me/monthly?absenceTypeId=0a405db0-f811-481e-a70b-5464ce2698ec`;
+  saveExtractedDaysForType(absenceTypeId, value) {
+    const daysByType = this.getExtractedDaysByType();
+    daysByType[absenceTypeId] = value;
+    this.storage.set(this.extractedDaysByTypeKey, daysByType);
   }
 
-  // === STORAGE METHODS ===
+  /**
+   * Gets the extracted leave periods from storage (null if the last extraction had no dates)
+   */
+  getExtractedPeriods() {
+    const periods = this.storage.get(this.extractedPeriodsKey);
+    return Array.isArray(periods) ? periods : null;
+  }
 
   /**
-   * Gets extracted days off from localStorage
+   * Saves the extracted leave periods to storage (null removes them)
    */
-  getExtractedDaysOff() {
-    try {
-      return localStorage.getItem(this.extractedDaysOffKey) || "0";
-    } catch (error) {
-      console.error(
-        "Error getting extracted days off from localStorage:",
-        error
-      );
-      return "0";
-    }
+  saveExtractedPeriods(periods) {
+    this.storage.set(this.extractedPeriodsKey, periods);
   }
 
   /**
-   * Saves extracted days off to localStorage
+   * Sums the approved leave days of periods from today on
    */
-  saveExtractedDaysOff(value) {
-    try {
-      console.log(
-        "PersonioOvertimeAdjuster: Attempting to save extracted days:",
-        value,
-        "on URL:",
-        location.href
+  sumApprovedDays(periods) {
+    const today = new Date().toISOString().split("T")[0];
+    const schedule = this.getWorkSchedule();
+    return periods
+      .filter((period) => period.status === "approved")
+      .reduce(
+        (sum, period) =>
+          sum +
+          LeavePeriods.getDaysBetween(period, today, null, (date) =>
+            schedule.isWorkday(date)
+          ),
+        0
       );
+  }
 
-      // Only save if we're on the correct extraction page or if the value is not "0"
-      // This prevents overwriting valid data with "0" from wrong pages
-      if (!this.isCalendarExtractionPage() && value === "0") {
-        console.log(
-          'PersonioOvertimeAdjuster: Prevented saving "0" on non-extraction page'
-        );
-        return;
-      }
-
-      localStorage.setItem(this.extractedDaysOffKey, value);
-      console.log(
-        "PersonioOvertimeAdjuster: Successfully saved extracted days:",
-        value
-      );
-    } catch (error) {
-      console.error(
-        "PersonioOvertimeAdjuster: Error saving extracted days off to localStorage:",
-        error
-      );
+  /**
+   * Replaces the extracted leave periods of one absence type (null if its dates are unknown, which drops them all)
+   */
+  saveExtractedPeriodsForType(absenceTypeId, periods) {
+    const storedPeriods = this.getExtractedPeriods();
+    if (storedPeriods === null || periods === null) {
+      this.saveExtractedPeriods(null);
+      return;
     }
+
+    this.saveExtractedPeriods(
+      storedPeriods
+        .filter((period) => period.absenceTypeId !== absenceTypeId)
+        .concat(periods)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))
+    );
+  }
+
+  /**
+   * Gets the leave periods imported from .ics files from storage
+   */
+  getImportedPeriods() {
+    const periods = this.storage.get(this.importedPeriodsKey);
+    return Array.isArray(periods) ? periods : [];
+  }
+
+  /**
+   * Saves the leave periods imported from .ics files to storage
+   */
+  saveImportedPeriods(periods) {
+    this.storage.set(this.importedPeriodsKey, periods);
   }
 
   /**
-   * Gets last extraction date from localStorage
+   * Gets last extraction date from storage
    */
   getLastExtractionDate() {
-    try {
-      return localStorage.getItem(this.lastExtractionDateKey);
-    } catch (error) {
-      console.error(
-        "Error getting last extraction date from localStorage:",
-        error
-      );
-      return null;
-    }
+    return this.storage.get(this.lastExtractionDateKey);
   }
 
   /**
-   * Saves current date as last extraction date to localStorage
+   * Saves current date as last extraction date to storage
    */
   saveLastExtractionDate() {
-    try {
-      const today = new Date().toISOString().split("T")[0]; // YYYY-MM-DD format
-      localStorage.setItem(this.lastExtractionDateKey, today);
-    } catch (error) {
-      console.error(
-        "Error saving last extraction date to localStorage:",
-        error
-      );
-    }
+    const today = new Date().toISOString().split("T")[0]; // YYYY-MM-DD format
+    this.storage.set(this.lastExtractionDateKey, today);
   }
 
   // === TIMESHEET ANALYSIS METHODS ===
@@ -789,10 +2681,86 @@ class PersonioOvertimeAdjuster {
       return 0;
     }
 
+    // Match dated periods against the calendar, the timesheet is only a fallback for calendar-page extractions
+    const periods = this.getExtractedPeriods();
+    if (periods !== null) {
+      return this.calculateConsumedLeaveDays(periods, lastExtractionDate);
+    }
+
+    return this.countTimesheetTimeOffDays(lastExtractionDate);
+  }
+
+  /**
+   * Sums the approved leave days from the last extraction date up to yesterday, weighted by overtime rule
+   */
+  calculateConsumedLeaveDays(periods, lastExtractionDate) {
+    const today = new Date().toISOString().split("T")[0];
+    const schedule = this.getWorkSchedule();
+
+    const consumedDays = periods
+      .filter((period) => period.status === "approved")
+      .reduce(
+        (sum, period) =>
+          sum +
+          LeavePeriods.getDaysBetween(
+            period,
+            lastExtractionDate,
+            today,
+            (date) => schedule.isWorkday(date)
+          ) *
+            this.config.getOvertimeFactor(period.absenceTypeId),
+        0
+      );
+
+    return Math.round(consumedDays * 10) / 10;
+  }
+
+  /**
+   * Sums the working minutes of the approved leave days from today on, weighted by overtime rule
+   */
+  calculatePlannedLeaveMinutes(periods) {
+    const today = new Date().toISOString().split("T")[0];
+    const schedule = this.getWorkSchedule();
+
+    return periods
+      .filter((period) => period.status === "approved")
+      .reduce((sum, period) => {
+        const factor = this.config.getOvertimeFactor(period.absenceTypeId);
+        return (
+          sum +
+          LeavePeriods.getDailyPortions(period, (date) =>
+            schedule.isWorkday(date)
+          )
+            .filter((portion) => portion.date >= today)
+            .reduce(
+              (periodSum, portion) =>
+                periodSum +
+                portion.days *
+                  schedule.getMinutesForDate(portion.date) *
+                  factor,
+              0
+            )
+        );
+      }, 0);
+  }
+
+  /**
+   * Converts an undated number of leave days to minutes, each day as long as an average working day
+   * of the schedule effective on the given YYYY-MM-DD date (default today)
+   */
+  convertDaysToMinutes(days, date = new Date().toISOString().split("T")[0]) {
+    const workdayMinutes =
+      this.getWorkSchedule().getMeanWorkdayMinutes(date) ||
+      this.config.get("workdayMinutes");
+    return days * workdayMinutes;
+  }
+
+  /**
+   * Counts timesheet rows with an approved time-off icon between the last extraction date and today
+   */
+  countTimesheetTimeOffDays(lastExtractionDate) {
     // Find timesheet rows
-    const timesheetRows = document.querySelectorAll(
-      '[data-test-id="timesheet-timecard"]'
-    );
+    const timesheetRows = this.selectors.findAll("timesheetRow");
     let timeOffDaysCount = 0;
 
     timesheetRows.forEach((row, index) => {
@@ -822,9 +2790,7 @@ class PersonioOvertimeAdjuster {
 
         if (rowDateOnly > lastExtractionDate && rowDateOnly < todayDateOnly) {
           // Look for the day cell container that has both date and time-off icon
-          const dayCell = firstTimeElement.closest(
-            ".DayCell-module__cell____HEU7"
-          );
+          const dayCell = this.selectors.closest("dayCell", firstTimeElement);
           if (!dayCell) {
             return;
           }
@@ -847,15 +2813,19 @@ class PersonioOvertimeAdjuster {
    * Updates reload button border color based on extraction status
    */
   updateReloadButtonBorder(reloadButton) {
+    // The outcome of the last extraction stays visible until the button is reset
+    if (["succeeded", "failed"].includes(reloadButton.dataset.status)) {
+      return;
+    }
+
     const lastExtractionDate = this.getLastExtractionDate();
     const timeOffAdjustment = this.calculateTimeOffAdjustment();
 
     if (!lastExtractionDate) {
       // Red outline if no extraction has been done yet
-      reloadButton.style.borderColor = "#dc3545";
-      reloadButton.style.borderWidth = "1.5px";
-      reloadButton.title =
-        "No extraction done yet - Click to extract upcoming leave days";
+      reloadButton.dataset.status = "never";
+      reloadButton.title = Localization.getMessage("reloadButtonNeverTitle");
+      this.updateExtractionStatus("never");
     } else {
       const today = new Date();
       const extractionDate = new Date(lastExtractionDate);
@@ -863,22 +2833,26 @@ class PersonioOvertimeAdjuster {
         (today - extractionDate) / (1000 * 60 * 60 * 24)
       );
 
-      if (daysDifference > 30) {
-        // Red outline if last extraction was more than a month ago
-        reloadButton.style.borderColor = "#dc3545";
-        reloadButton.style.borderWidth = "1.5px";
-        reloadButton.title = `Last extraction was ${daysDifference} days ago - Click to refresh upcoming leave days`;
+      if (daysDifference > this.config.get("staleAfterDays")) {
+        // Red outline if last extraction is older than the staleness threshold
+        reloadButton.dataset.status = "stale";
+        reloadButton.title = Localization.getMessage("reloadButtonStaleTitle", [
+          daysDifference,
+        ]);
+        this.updateExtractionStatus("stale");
       } else if (timeOffAdjustment > 0) {
         // Yellow outline if there has been a subtraction
-        reloadButton.style.borderColor = "#ffc107";
-        reloadButton.style.borderWidth = "1.5px";
-        reloadButton.title = `${timeOffAdjustment} day(s) subtracted since last extraction - Click to refresh upcoming leave days`;
+        reloadButton.dataset.status = "adjusted";
+        reloadButton.title = Localization.getMessage(
+          "reloadButtonAdjustedTitle",
+          [timeOffAdjustment]
+        );
+        this.updateExtractionStatus("adjusted");
       } else {
         // Default border
-        reloadButton.style.borderColor = "#ccc";
-        reloadButton.style.borderWidth = "1px";
-        reloadButton.title =
-          "Open calendar page to extract upcoming leave days";
+        delete reloadButton.dataset.status;
+        reloadButton.title = Localization.getMessage("reloadButtonTitle");
+        this.updateExtractionStatus("current");
       }
     }
   }
@@ -888,28 +2862,14 @@ class PersonioOvertimeAdjuster {
    */
   hasApprovedTimeOffIcon(dayCell) {
     // Look for the specific time-off icon structure within the day cell
-    const timeOffIcon = dayCell.querySelector('[data-test-id="time-off-icon"]');
+    const timeOffIcon = this.selectors.find("timeOffIcon", dayCell);
     if (!timeOffIcon) {
       return false;
     }
 
     // Check for the green circle indicating approved time-off
-    const greenCircle = timeOffIcon.querySelector(
-      ".TimeOffIcon-module__circle___a1qx6.TimeOffIcon-module__green___L77Rd"
-    );
-    if (greenCircle) {
-      return true;
-    }
-
-    // Also check for any circle as fallback for testing
-    const anyCircle = timeOffIcon.querySelector(
-      ".TimeOffIcon-module__circle___a1qx6"
-    );
-    if (anyCircle) {
-      return true;
-    }
-
-    return false;
+    const greenCircle = this.selectors.find("approvedTimeOffIcon", timeOffIcon);
+    return Boolean(greenCircle);
   }
 
   // === INPUT HANDLING METHODS ===
@@ -918,7 +2878,7 @@ class PersonioOvertimeAdjuster {
    * Handles input field changes
    */
   handleInputChange() {
-    const inputElement = document.getElementById("subtractTime");
+    const inputElement = this.getWidgetElement("subtractTime");
     if (!inputElement) return;
 
     this.adjustOvertime();
@@ -933,9 +2893,7 @@ class PersonioOvertimeAdjuster {
     this.updateBackButtonVisibility(inputElement.value, extractedValue);
 
     // Update reload button border color based on current adjustment
-    const reloadButton = document.querySelector(
-      'button[title*="extract upcoming leave days"], button[title*="refresh upcoming leave days"]'
-    );
+    const reloadButton = this.getWidgetElement("subtractTimeReload");
     if (reloadButton) {
       this.updateReloadButtonBorder(reloadButton);
     }
@@ -945,9 +2903,7 @@ class PersonioOvertimeAdjuster {
    * Updates back button visibility based on value match
    */
   updateBackButtonVisibility(userValue, extractedValue) {
-    const backButton = document.querySelector(
-      'button[title="Restore extracted future days off value"]'
-    );
+    const backButton = this.getWidgetElement("subtractTimeBack");
     if (backButton) {
       // Calculate the adjusted extracted value (extracted - time-off adjustment)
       const timeOffAdjustment = this.calculateTimeOffAdjustment();
@@ -979,12 +2935,26 @@ class PersonioOvertimeAdjuster {
       extractedValue !== ""
     ) {
       // Green border when values match the adjusted extracted value
-      inputElement.style.borderColor = "#28a745";
-      inputElement.style.borderWidth = "2px";
+      inputElement.dataset.status = "extracted";
+      this.updateInputStatus("inputStatusExtracted");
     } else {
-      // Default border
-      inputElement.style.borderColor = "#ccc";
-      inputElement.style.borderWidth = "1px";
+      delete inputElement.dataset.status;
+      this.updateInputStatus(
+        extractedValue !== null ? "inputStatusChanged" : null
+      );
+    }
+    inputElement.removeAttribute("aria-invalid");
+  }
+
+  /**
+   * Sets the input's screen reader description, empty for none
+   */
+  updateInputStatus(messageName) {
+    const inputStatus = this.getWidgetElement("subtractTimeInputStatus");
+    if (inputStatus) {
+      inputStatus.textContent = messageName
+        ? Localization.getMessage(messageName)
+        : "";
     }
   }
 
@@ -995,12 +2965,12 @@ class PersonioOvertimeAdjuster {
     const value = inputElement.value.replace(",", ".");
 
     if (value && isNaN(parseFloat(value))) {
-      inputElement.style.borderColor = "#ff6b6b";
-      inputElement.style.borderWidth = "2px";
-      inputElement.title = "Please enter a valid number";
+      inputElement.dataset.status = "invalid";
+      inputElement.setAttribute("aria-invalid", "true");
+      inputElement.title = Localization.getMessage("inputInvalidTitle");
+      this.updateInputStatus("inputInvalidTitle");
     } else {
-      inputElement.title =
-        "Enter number of granted days to subtract from overtime (use . or , for decimals)";
+      inputElement.title = Localization.getMessage("inputTitle");
 
       // Restore proper border color
       const extractedValue = this.getExtractedDaysOff();
@@ -1024,49 +2994,77 @@ class PersonioOvertimeAdjuster {
    */
   adjustOvertime() {
     try {
-      const inputElement = document.getElementById("subtractTime");
+      const inputElement = this.getWidgetElement("subtractTime");
       if (!inputElement) return;
 
       const inputValue = inputElement.value.replace(",", ".");
 
-      // Ensure work time per day is calculated
-      if (this.workTimePerDayInMinutes === undefined) {
-        this.setWorkTimePerDay();
-      }
-
       // Calculate minutes to subtract
       let valueToSubtractInMinutes = 0;
-      if (
-        inputValue &&
-        inputValue !== "0" &&
-        this.isValidNumber(inputValue) &&
-        this.workTimePerDayInMinutes !== undefined
-      ) {
-        valueToSubtractInMinutes =
-          parseFloat(inputValue) * this.workTimePerDayInMinutes;
+      if (inputValue && inputValue !== "0" && this.isValidNumber(inputValue)) {
+        const periods = this.getExtractedPeriods();
+        if (periods !== null && this.isExtractedValue(inputValue)) {
+          // Unchanged extracted value - count each leave day with the hours of its weekday
+          valueToSubtractInMinutes = this.calculatePlannedLeaveMinutes(periods);
+        } else {
+          valueToSubtractInMinutes = this.convertDaysToMinutes(
+            parseFloat(inputValue)
+          );
+        }
       }
 
-      this.updateOvertimeDisplay(valueToSubtractInMinutes);
+      // Hypothetical leave of the active what-if scenario comes on top of the extracted leave
+      const scenario = this.scenarios.getActive();
+      if (scenario) {
+        valueToSubtractInMinutes += this.calculatePlannedLeaveMinutes(
+          LeaveScenarios.toPeriods(scenario)
+        );
+      }
+
+      this.updateOvertimeDisplay(valueToSubtractInMinutes, scenario);
+      this.updatePlannedAmount(valueToSubtractInMinutes);
+      this.renderForecast();
     } catch (error) {
       console.error("Error adjusting overtime:", error);
     }
   }
 
   /**
-   * Updates the overtime display with adjusted values
+   * Checks if the input still shows the extracted value (after the time-off adjustment)
    */
-  updateOvertimeDisplay(valueToSubtractInMinutes) {
-    const overtimeContainer = document.querySelector(
-      ".OvertimeWidget-module__confirmedTime___sa53y"
+  isExtractedValue(inputValue) {
+    const extractedValue = this.getExtractedDaysOff();
+    if (extractedValue === null) {
+      return false;
+    }
+
+    const timeOffAdjustment = this.calculateTimeOffAdjustment();
+    const adjustedValue = Math.max(
+      0,
+      parseFloat(extractedValue) - timeOffAdjustment
     );
+    return parseFloat(inputValue).toFixed(1) === adjustedValue.toFixed(1);
+  }
+
+  /**
+   * Shows the adjusted overtime next to Personio's value (labeled as hypothetical for a what-if scenario)
+   */
+  updateOvertimeDisplay(valueToSubtractInMinutes, scenario = null) {
+    const overtimeContainer = this.selectors.find("overtimeValue");
     if (!overtimeContainer) return;
 
-    // Ensure original values are stored
-    if (
+    // Personio's value is only read, never changed, and may have been updated since the last time
+    this.storeOriginalValues(overtimeContainer);
+    this.watchOvertimeValue(overtimeContainer);
+    this.renderOvertimeReadError();
+
+    const overlay = this.getOvertimeOverlay(overtimeContainer);
+    overlay.host.hidden =
       this.originalHours === undefined ||
-      this.originalMinutes === undefined
-    ) {
-      this.storeOriginalValues(overtimeContainer);
+      !this.config.get("showAdjustment") ||
+      (valueToSubtractInMinutes === 0 && !scenario);
+    if (overlay.host.hidden) {
+      return;
     }
 
     // Calculate adjusted time
@@ -1074,70 +3072,222 @@ class PersonioOvertimeAdjuster {
     const adjustedTotalMinutes =
       totalOriginalMinutes - valueToSubtractInMinutes;
 
-    const formattedTime = this.formatTimeDisplay(adjustedTotalMinutes);
+    // The arrow is read out as "adjusted" instead
+    const adjustedText = this.formatTimeDisplay(adjustedTotalMinutes);
+    const arrow = document.createElement("span");
+    arrow.textContent = "→ ";
+    arrow.setAttribute("aria-hidden", "true");
+    const arrowLabel = document.createElement("span");
+    arrowLabel.className = "visually-hidden";
+    arrowLabel.textContent = `${Localization.getMessage(
+      "adjustedOvertimeLabel"
+    )} `;
+    const adjustedSpan = document.createElement("span");
+    adjustedSpan.append(arrow, arrowLabel, adjustedText);
+    adjustedSpan.title = Localization.getMessage("adjustedOvertimeTitle");
+    this.applyOvertimeColorCoding(adjustedSpan, adjustedTotalMinutes);
+
+    if (!scenario) {
+      overlay.content.replaceChildren(adjustedSpan);
+      this.announceAdjustedOvertime(adjustedText);
+      return;
+    }
+
+    adjustedSpan.style.fontStyle = "italic";
+    const scenarioDisplay = document.createElement("span");
+    scenarioDisplay.textContent = ` ${Localization.getMessage(
+      "scenarioOvertime",
+      [scenario.name]
+    )}`;
+    scenarioDisplay.title = Localization.getMessage("scenarioOvertimeTitle");
+    scenarioDisplay.style.cssText = `
+            font-size: 0.5em;
+            color: var(--adjuster-scenario);
+            margin-left: 3px;
+        `;
+    overlay.content.replaceChildren(adjustedSpan, scenarioDisplay);
+    this.announceAdjustedOvertime(
+      `${adjustedText} ${scenarioDisplay.textContent.trim()}`
+    );
+  }
+
+  /**
+   * Checks if the overlay is placed after the given overtime value
+   */
+  isOverlayAttachedTo(overtimeContainer) {
+    const host = this.overlayRoot && this.overlayRoot.host;
+    return Boolean(
+      host &&
+        host.isConnected &&
+        host.previousElementSibling === overtimeContainer
+    );
+  }
 
-    // Remove any existing wrapper div
-    const existingWrapper = overtimeContainer.querySelector(
-      ".overtime-display-wrapper"
+  /**
+   * Remembers Personio's schedule widget and tells if it was replaced or changed since the last call
+   */
+  hasScheduleWidgetChanged() {
+    const element = this.selectors.find("weeklyHours");
+    const text = element ? element.textContent.trim() : null;
+    const previous = this.scheduleWidget;
+    this.scheduleWidget = { element, text };
+    return Boolean(
+      previous && (previous.element !== element || previous.text !== text)
     );
-    if (existingWrapper) {
-      existingWrapper.remove();
+  }
+
+  /**
+   * Gets the overlay placed after Personio's overtime value ({ host, content }), created on first use
+   */
+  getOvertimeOverlay(overtimeContainer) {
+    const existingHost = this.overlayRoot && this.overlayRoot.host;
+    if (this.isOverlayAttachedTo(overtimeContainer)) {
+      return {
+        host: existingHost,
+        content: this.overlayRoot.getElementById("adjustedOvertime"),
+      };
+    }
+    if (existingHost) {
+      existingHost.remove();
     }
 
-    // Create wrapper div that contains both adjusted and original time
-    const wrapperDiv = document.createElement("div");
-    wrapperDiv.className = "overtime-display-wrapper";
-    wrapperDiv.style.cssText = "display: inline;";
+    // A sibling in its own shadow root, so Personio's re-renders and the overlay do not interfere
+    const host = document.createElement("span");
+    host.id = "personioOvertimeAdjusterOverlay";
+    const { fontSize, fontWeight, lineHeight } =
+      getComputedStyle(overtimeContainer);
+    Object.assign(host.style, {
+      display: "inline-block",
+      marginLeft: "0.3em",
+      fontSize,
+      fontWeight,
+      lineHeight,
+    });
+    overtimeContainer.insertAdjacentElement("afterend", host);
 
-    // Clear the original container and put content in wrapper
-    overtimeContainer.innerHTML = "";
+    this.overlayRoot = WidgetTheme.attach(host);
+    const content = document.createElement("span");
+    content.id = "adjustedOvertime";
+    this.overlayRoot.appendChild(content);
+    return { host, content };
+  }
 
-    // Add adjusted time
-    const adjustedSpan = document.createElement("span");
-    adjustedSpan.textContent = formattedTime;
-    wrapperDiv.appendChild(adjustedSpan);
-
-    // Add original value if there's an adjustment
-    if (valueToSubtractInMinutes > 0) {
-      const originalFormattedTime =
-        this.formatTimeDisplay(totalOriginalMinutes);
-      const originalDisplay = document.createElement("span");
-      originalDisplay.className = "original-overtime-display";
-      originalDisplay.textContent = ` (was ${originalFormattedTime})`;
-      originalDisplay.style.cssText = `
-                font-size: 0.5em;
-                color: #888;
-                margin-left: 3px;
-            `;
-      wrapperDiv.appendChild(originalDisplay);
-    }
-
-    // Insert wrapper inside overtime container
-    overtimeContainer.appendChild(wrapperDiv);
-
-    // Apply color coding to the adjusted time span
-    this.applyOvertimeColorCoding(adjustedSpan, adjustedTotalMinutes);
+  /**
+   * Follows Personio's overtime value, re-applying the adjustment whenever Personio updates it
+   */
+  watchOvertimeValue(overtimeContainer) {
+    const parent = overtimeContainer.parentElement;
+    if (
+      !parent ||
+      (this.overtimeValueWatch && this.overtimeValueWatch.parent === parent)
+    ) {
+      return;
+    }
+    this.stopWatchingOvertimeValue();
+
+    // The parent is watched too, as Personio may replace the value's element when it re-renders
+    const observer = new MutationObserver(() => {
+      const currentContainer = this.selectors.find("overtimeValue");
+      const text = currentContainer ? currentContainer.textContent.trim() : "";
+      if (text && text !== this.overtimeValueWatch.text) {
+        this.overtimeValueWatch.text = text;
+        this.adjustOvertime();
+        this.recordBalanceHistory();
+      }
+    });
+    observer.observe(parent, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+    this.overtimeValueWatch = {
+      parent,
+      observer,
+      text: overtimeContainer.textContent.trim(),
+    };
+  }
+
+  /**
+   * Stops following Personio's overtime value
+   */
+  stopWatchingOvertimeValue() {
+    if (this.overtimeValueWatch) {
+      this.overtimeValueWatch.observer.disconnect();
+      this.overtimeValueWatch = null;
+    }
   }
 
   /**
-   * Formats time display in Personio's format
+   * Formats time display in the display unit, in the format Personio showed the overtime in where possible
    */
   formatTimeDisplay(totalMinutes) {
-    const isNegative = totalMinutes < 0;
-    const absoluteMinutes = Math.abs(totalMinutes);
-    const hours = Math.floor(absoluteMinutes / 60);
-    const minutes = Math.round(absoluteMinutes % 60);
-
-    const sign = isNegative ? "-" : "";
-
-    if (hours > 0 && minutes > 0) {
-      return `${sign}${hours}h ${minutes}m`;
-    } else if (hours > 0) {
-      return `${sign}${hours}h`;
-    } else if (minutes > 0) {
-      return `${sign}${minutes}m`;
-    } else {
-      return "0h";
+    const unit = this.getDisplayUnit();
+
+    // Workdays the value covers from today on, with the hours of each day in the working schedule
+    const today = new Date().toISOString().split("T")[0];
+    const workdays =
+      unit === "days"
+        ? this.getWorkSchedule().getWorkdaysForMinutes(today, totalMinutes)
+        : 0;
+    if (unit === "days" && (workdays > 0 || totalMinutes === 0)) {
+      const days = workdays.toFixed(1);
+      const sign = DurationFormat.getSign(
+        totalMinutes,
+        this.overtimeFormat,
+        parseFloat(days) === 0
+      );
+      return Localization.getMessage("workdaysValue", [
+        `${sign}${days.replace(".", this.overtimeFormat.decimalSeparator)}`,
+      ]);
+    }
+
+    // Personio's own format, including the legacy clock style
+    if (this.config.get("displayUnit") === "personio") {
+      return DurationFormat.format(totalMinutes, this.overtimeFormat);
+    }
+
+    if (unit === "decimal") {
+      return DurationFormat.format(
+        totalMinutes,
+        this.overtimeFormat.style === "decimal"
+          ? this.overtimeFormat
+          : { ...this.overtimeFormat, style: "decimal", decimals: 2 }
+      );
+    }
+
+    return DurationFormat.format(totalMinutes, {
+      ...this.overtimeFormat,
+      style: "hm",
+    });
+  }
+
+  /**
+   * Shows a warning next to the input while Personio's overtime value cannot be read
+   */
+  renderOvertimeReadError() {
+    const inputElement = this.getWidgetElement("subtractTime");
+    const existingWarning = this.getWidgetElement("subtractTimeReadError");
+    if (!this.overtimeReadError || !inputElement) {
+      if (existingWarning) {
+        existingWarning.remove();
+      }
+      return;
+    }
+
+    const warning = existingWarning || document.createElement("span");
+    warning.id = "subtractTimeReadError";
+    warning.setAttribute("role", "alert");
+    warning.textContent = Localization.getMessage("overtimeReadError");
+    warning.title = Localization.getMessage("overtimeReadErrorTitle", [
+      this.overtimeReadError,
+    ]);
+    warning.style.cssText = `
+            color: var(--adjuster-danger);
+            font-size: 12px;
+            margin-left: 4px;
+        `;
+    if (!existingWarning) {
+      inputElement.parentElement.appendChild(warning);
     }
   }
 
@@ -1146,93 +3296,72 @@ class PersonioOvertimeAdjuster {
    */
   applyOvertimeColorCoding(container, totalMinutes) {
     if (totalMinutes > 0) {
-      container.style.color = "#28a745"; // Green for positive
+      container.dataset.sign = "positive"; // Green
     } else if (totalMinutes < 0) {
-      container.style.color = "#dc3545"; // Red for negative
+      container.dataset.sign = "negative"; // Red
     } else {
-      container.style.color = "#6c757d"; // Gray for zero
+      container.dataset.sign = "zero"; // Gray
     }
   }
 
   /**
-   * Stores original overtime values from the display
+   * Reads Personio's overtime value and its format from the display (undefined if it cannot be read)
    */
   storeOriginalValues(overtimeContainer) {
     try {
       const timeText = overtimeContainer.textContent.trim();
+      const duration = DurationFormat.parse(timeText);
 
-      // Parse Personio's format: "7h 42m", "-7h 42m", "7h", "42m", "0h", etc.
-      const timeRegex = /^(-?)(?:(\d+)h)?\s*(?:(\d+)m)?$/;
-      const match = timeText.match(timeRegex);
-
-      if (match) {
-        const isNegative = match[1] === "-";
-        const hours = parseInt(match[2] || "0", 10);
-        const minutes = parseInt(match[3] || "0", 10);
-
-        this.originalHours = isNegative ? -hours : hours;
-        this.originalMinutes = isNegative ? -minutes : minutes;
-      } else {
-        // Fallback for old format "+40:04" or "-7:42"
-        const fallbackRegex = /([+-]?)(\d+):(\d+)/;
-        const fallbackMatch = timeText.match(fallbackRegex);
-
-        if (fallbackMatch) {
-          const sign = fallbackMatch[1] === "-" ? -1 : 1;
-          const hours = parseInt(fallbackMatch[2], 10);
-          const minutes = parseInt(fallbackMatch[3], 10);
-
-          this.originalHours = hours * sign;
-          this.originalMinutes = minutes * sign;
-        } else {
-          this.originalHours = 0;
-          this.originalMinutes = 0;
-        }
+      if (!duration) {
+        console.error(
+          "PersonioOvertimeAdjuster: Overtime value not recognized:",
+          timeText
+        );
+        this.originalHours = undefined;
+        this.originalMinutes = undefined;
+        this.overtimeReadError = timeText;
+        return;
       }
+
+      // Both parts carry the sign ("-7h 42m" is -7 hours and -42 minutes)
+      const sign = duration.minutes < 0 ? -1 : 1;
+      const absoluteMinutes = Math.abs(duration.minutes);
+      this.originalHours = sign * Math.floor(absoluteMinutes / 60);
+      this.originalMinutes = sign * (absoluteMinutes % 60);
+      this.overtimeFormat = duration.format;
+      this.overtimeReadError = null;
     } catch (error) {
       console.error("Error storing original values:", error);
-      this.originalHours = 0;
-      this.originalMinutes = 0;
+      this.originalHours = undefined;
+      this.originalMinutes = undefined;
+      this.overtimeReadError = overtimeContainer.textContent.trim();
     }
   }
 
   /**
-   * Calculates work time per day based on weekly schedule
+   * Gets the working schedule: Personio's widget (or the default workday length)
+   * overridden by the schedules configured on the options page from their effective dates
    */
-  setWorkTimePerDay() {
-    try {
-      const weeklyWorkTimeContainer = document.querySelector(
-        ".WorkingScheduleWidget-module__weeklyHours___IfLge"
-      );
-      if (!weeklyWorkTimeContainer) {
-        this.workTimePerDayInMinutes = this.STANDARD_WORKDAY_MINUTES;
-        return;
+  getWorkSchedule() {
+    if (this.workSchedule === undefined) {
+      let widgetMinutes = null;
+      try {
+        widgetMinutes = WorkSchedule.readFromWidget(this.selectors);
+      } catch (error) {
+        console.error("Error reading working schedule:", error);
       }
 
-      const weeklyWorkTimeText = weeklyWorkTimeContainer.textContent;
-      const weeklyWorkTime = weeklyWorkTimeText.split("/")[0].split(" ");
-
-      const weeklyWorkTimeHours = parseInt(weeklyWorkTime[0], 10) || 0;
-      const weeklyWorkTimeMinutes = parseInt(weeklyWorkTime[1], 10) || 0;
-      const totalWeeklyWorkTime =
-        weeklyWorkTimeHours * 60 + weeklyWorkTimeMinutes;
-
-      // Get number of work days per week
-      const workdays = document.querySelectorAll(
-        '.WorkingScheduleWidget-module__day___wI1eK[data-state="work"]'
-      );
-      const numberOfWorkdaysPerWeek = workdays.length;
-
-      if (numberOfWorkdaysPerWeek > 0) {
-        this.workTimePerDayInMinutes =
-          totalWeeklyWorkTime / numberOfWorkdaysPerWeek;
-      } else {
-        this.workTimePerDayInMinutes = this.STANDARD_WORKDAY_MINUTES;
-      }
-    } catch (error) {
-      console.error("Error calculating work time per day:", error);
-      this.workTimePerDayInMinutes = this.STANDARD_WORKDAY_MINUTES;
+      this.workSchedule = new WorkSchedule([
+        {
+          effectiveFrom: "",
+          minutes:
+            widgetMinutes ||
+            WorkSchedule.createStandard(this.config.get("workdayMinutes")),
+        },
+        ...this.config.get("workSchedules"),
+      ]);
     }
+    return this.workSchedule;
   }
 
   // === CALENDAR EXTRACTION METHODS ===
@@ -1246,47 +3375,42 @@ class PersonioOvertimeAdjuster {
 
       // Primary method: target new BalanceTab structure in dialog
       // Look for the active balance tab content first
-      const balanceTabContent = doc.querySelector(
-        '[id*="content-balance"][data-state="active"]'
-      );
+      const balanceTabContent = this.selectors.find("activeBalanceTab", doc);
       if (balanceTabContent) {
-        const balanceContainer = balanceTabContent.querySelector(
-          ".BalanceTab-module__visuallyGroupedBalanceStatements___lyShZ"
+        const balanceContainer = this.selectors.find(
+          "balanceStatements",
+          balanceTabContent
         );
         if (balanceContainer) {
           totalDays = this.extractFromBalanceTabContainer(balanceContainer);
 
           if (totalDays > 0) {
-            const totalMinutes = totalDays * this.STANDARD_WORKDAY_MINUTES;
+            const totalMinutes = totalDays * this.config.get("workdayMinutes");
             return totalMinutes;
           }
         }
       }
 
       // Fallback: Look for balance container anywhere on the page
-      const balanceContainer = doc.querySelector(
-        ".BalanceTab-module__visuallyGroupedBalanceStatements___lyShZ"
-      );
+      const balanceContainer = this.selectors.find("balanceStatements", doc);
 
       if (balanceContainer) {
         totalDays = this.extractFromBalanceTabContainer(balanceContainer);
 
         if (totalDays > 0) {
-          const totalMinutes = totalDays * this.STANDARD_WORKDAY_MINUTES;
+          const totalMinutes = totalDays * this.config.get("workdayMinutes");
           return totalMinutes;
         }
       }
 
       // Fallback method: old Stack container
-      const stackContainer = doc.querySelector(
-        ".Stack-module__1EcFT-8V__v0-6-8.Stack-module__y3QoKyTs__v0-6-8"
-      );
+      const stackContainer = this.selectors.find("legacyBalanceStack", doc);
 
       if (stackContainer) {
         totalDays = this.extractFromStackContainer(stackContainer);
 
         if (totalDays > 0) {
-          const totalMinutes = totalDays * this.STANDARD_WORKDAY_MINUTES;
+          const totalMinutes = totalDays * this.config.get("workdayMinutes");
           return totalMinutes;
         }
       }
@@ -1295,7 +3419,7 @@ class PersonioOvertimeAdjuster {
       totalDays = this.extractFromFallbackMethod(doc);
 
       if (totalDays > 0) {
-        const totalMinutes = totalDays * this.STANDARD_WORKDAY_MINUTES;
+        const totalMinutes = totalDays * this.config.get("workdayMinutes");
         return totalMinutes;
       }
 
@@ -1306,6 +3430,82 @@ class PersonioOvertimeAdjuster {
     }
   }
 
+  /**
+   * Extracts the upcoming dated absence periods listed in the absence type dialog
+   */
+  extractCalendarPeriods(doc, absenceTypeId) {
+    const today = new Date().toISOString().split("T")[0];
+    const dialog = this.selectors.find("absenceTypeDialog", doc);
+    if (!dialog) {
+      return [];
+    }
+    const locale = doc.documentElement.lang || navigator.language;
+    const texts = Localization.PERSONIO_TEXTS;
+
+    return this.findDatedEntries(dialog, locale)
+      .map((entry) => {
+        const text = this.getSpacedText(entry);
+        const dates = Localization.parseDates(text, locale);
+        if (dates.length === 0 || texts.declinedStatus.test(text)) {
+          return null;
+        }
+
+        const days = Localization.parseDays(text.replace(texts.dates, ""));
+        return LeavePeriods.normalize({
+          startDate: dates[0],
+          endDate: dates[dates.length - 1],
+          // Which end of a longer period is the half day is left to Personio's day count
+          halfDayStart: dates.length === 1 && texts.halfDay.test(text),
+          daysCount: days > 0 ? days : null,
+          status: texts.pendingStatus.test(text) ? "pending" : "approved",
+          absenceTypeId,
+        });
+      })
+      .filter((period) => period && period.endDate >= today);
+  }
+
+  /**
+   * Finds the entries of a list of absences by their dates, not by Personio's generated class names:
+   * the largest elements showing one or two dates (a single day or a range) inside an element showing more
+   */
+  findDatedEntries(container, locale) {
+    const dateCounts = new Map();
+    const countDates = (element) => {
+      if (!dateCounts.has(element)) {
+        dateCounts.set(
+          element,
+          Localization.parseDates(this.getSpacedText(element), locale).length
+        );
+      }
+      return dateCounts.get(element);
+    };
+
+    return Array.from(container.querySelectorAll("*")).filter((element) => {
+      const count = countDates(element);
+      return (
+        count >= 1 &&
+        count <= 2 &&
+        (element.parentElement === container ||
+          countDates(element.parentElement) > count)
+      );
+    });
+  }
+
+  /**
+   * Gets the text of an element with its text nodes separated by spaces, as adjacent elements often have none
+   */
+  getSpacedText(element) {
+    const walker = element.ownerDocument.createTreeWalker(
+      element,
+      NodeFilter.SHOW_TEXT
+    );
+    const parts = [];
+    while (walker.nextNode()) {
+      parts.push(walker.currentNode.nodeValue);
+    }
+    return parts.join(" ").replace(/\s+/g, " ").trim();
+  }
+
   /**
    * Extracts days from the new BalanceTab structure
    */
@@ -1318,8 +3518,9 @@ class PersonioOvertimeAdjuster {
       );
 
       // Get all balance statements
-      const balanceStatements = balanceContainer.querySelectorAll(
-        ".BalanceTab-module__balanceStatement___PKh3f"
+      const balanceStatements = this.selectors.findAll(
+        "balanceStatement",
+        balanceContainer
       );
 
       console.log(
@@ -1330,8 +3531,9 @@ class PersonioOvertimeAdjuster {
 
       balanceStatements.forEach((statement, index) => {
         // Look for the tooltip content to identify the type
-        const tooltipContent = statement.querySelector(
-          ".BalanceTab-module__tooltipContent___Ose3o"
+        const tooltipContent = this.selectors.find(
+          "balanceStatementLabel",
+          statement
         );
 
         if (tooltipContent) {
@@ -1343,7 +3545,9 @@ class PersonioOvertimeAdjuster {
             tooltipText
           );
 
-          if (tooltipText === "Planned (approved)") {
+          if (
+            Localization.isPersonioText("plannedApprovedLabels", tooltipText)
+          ) {
             // Found the "Planned (approved)" section
             const dayValueSpan = statement.querySelector("p span");
 
@@ -1357,30 +3561,26 @@ class PersonioOvertimeAdjuster {
               );
 
               // Check for additional future periods text
-              const additionalText = statement.querySelector(
-                ".InlineAlert-module__inlineAlert___TrYZg span"
+              const additionalText = this.selectors.find(
+                "balanceStatementNote",
+                statement
               );
-              if (
+              const futureMatch =
                 additionalText &&
-                additionalText.textContent.includes("Not including")
-              ) {
+                additionalText.textContent.match(
+                  Localization.PERSONIO_TEXTS.notIncludedDays
+                );
+              if (futureMatch) {
                 console.log(
                   "PersonioOvertimeAdjuster: Found additional text:",
                   additionalText.textContent
                 );
-                const futureMatch = additionalText.textContent.match(
-                  /Not including (\d+(?:[.,]\d+)?)\s*(?:day|days)/i
+                const futureDays = parseFloat(futureMatch[1].replace(",", "."));
+                console.log(
+                  "PersonioOvertimeAdjuster: Adding future days:",
+                  futureDays
                 );
-                if (futureMatch) {
-                  const futureDays = parseFloat(
-                    futureMatch[1].replace(",", ".")
-                  );
-                  console.log(
-                    "PersonioOvertimeAdjuster: Adding future days:",
-                    futureDays
-                  );
-                  dayValue += futureDays;
-                }
+                dayValue += futureDays;
               }
 
               totalDays += dayValue;
@@ -1413,8 +3613,9 @@ class PersonioOvertimeAdjuster {
   extractFromStackContainer(stackContainer) {
     let totalDays = 0;
 
-    const inlineContainers = stackContainer.querySelectorAll(
-      ".Inline-module__bXbkibKw__v0-6-8.Inline-module__XTSrxcwj__v0-6-8.Inline-module__UEtVxQKs__v0-6-8.Inline-module__uD5yQygQ__v0-6-8"
+    const inlineContainers = this.selectors.findAll(
+      "legacyBalanceRow",
+      stackContainer
     );
 
     inlineContainers.forEach((container, index) => {
@@ -1471,12 +3672,8 @@ class PersonioOvertimeAdjuster {
 
       if (!dt || !dd) return 0;
 
-      const labelSpan = dt.querySelector(
-        ".BaseTypography-module__JG0dB-pS__v6-3-8"
-      );
-      const valueSpan = dd.querySelector(
-        ".BaseTypography-module__JG0dB-pS__v6-3-8"
-      );
+      const labelSpan = this.selectors.find("legacyBalanceText", dt);
+      const valueSpan = this.selectors.find("legacyBalanceText", dd);
 
       if (!labelSpan || !valueSpan) return 0;
 
@@ -1494,19 +3691,80 @@ class PersonioOvertimeAdjuster {
    * Extracts numerical days from text
    */
   extractDaysFromText(text) {
-    // Try the new format first: "5d", "14.5d", etc.
-    let daysMatch = text.match(/(\d+(?:[.,]\d+)?)\s*d\b/i);
-    if (daysMatch) {
-      return parseFloat(daysMatch[1].replace(",", "."));
+    // "5d", "14.5d", "5 days", "5 Tage", "14,5 T"
+    return Localization.parseDays(text);
+  }
+
+  // === DIAGNOSTICS METHODS ===
+
+  /**
+   * Reports which lookup strategy found each Personio element of a page ("attendance" or "calendar")
+   */
+  runDiagnostics(page = this.isCalendarPage() ? "calendar" : "attendance") {
+    const report = this.selectors.diagnose(page);
+    console.log(`PersonioOvertimeAdjuster: Selector diagnostics (${page})`);
+    console.table(report);
+
+    if (page === "attendance") {
+      this.renderDiagnostics(report);
+    }
+    return report;
+  }
+
+  /**
+   * Shows the diagnostics report below the extension's controls
+   */
+  renderDiagnostics(report) {
+    const lastPanel =
+      this.getWidgetElement("subtractTimeExport") ||
+      this.getWidgetElement("subtractTimeHistory") ||
+      this.getWidgetElement("subtractTimePlanning") ||
+      this.getWidgetElement("subtractTimeForecast") ||
+      this.getWidgetElement("subtractTimeLeaveList");
+    if (!lastPanel) {
+      return;
     }
 
-    // Fallback to old format: "5 Tage", "5 Days", etc.
-    daysMatch = text.match(/(\d+(?:[.,]\d+)?)\s*(?:Tage?|Days?|Tag|Day)/i);
-    if (daysMatch) {
-      return parseFloat(daysMatch[1].replace(",", "."));
+    let diagnostics = this.getWidgetElement("subtractTimeDiagnostics");
+    if (!diagnostics) {
+      diagnostics = document.createElement("details");
+      diagnostics.id = "subtractTimeDiagnostics";
+      diagnostics.style.cssText = `
+            font-size: 12px;
+            margin-top: 2px;
+        `;
+      lastPanel.insertAdjacentElement("afterend", diagnostics);
     }
 
-    return 0;
+    const count = (status) =>
+      report.filter((entry) => entry.status === status).length;
+    const summary = document.createElement("summary");
+    summary.textContent = Localization.getMessage("diagnosticsSummary", [
+      count("ok"),
+      count("fallback"),
+      count("missing"),
+    ]);
+
+    const list = document.createElement("ul");
+    list.style.cssText = `
+            margin: 2px 0 0;
+            padding-left: 16px;
+        `;
+    report.forEach((entry) => {
+      const item = document.createElement("li");
+      const markers = {
+        ok: "✓",
+        fallback: "~",
+        missing: "✗",
+        "missing (optional)": "–",
+      };
+      item.textContent = `${markers[entry.status]} ${entry.name}: ${
+        entry.strategy || entry.status
+      }`;
+      list.appendChild(item);
+    });
+
+    diagnostics.replaceChildren(summary, list);
   }
 
   // === CLEANUP METHODS ===
@@ -1515,11 +3773,8 @@ class PersonioOvertimeAdjuster {
    * Cleanup method for extension shutdown
    */
   destroy() {
-    this.stopObservingPage();
-    if (this.urlCheckInterval) {
-      clearInterval(this.urlCheckInterval);
-    }
-    window.removeEventListener("popstate", this.handleUrlChange);
+    this.lifecycle.stop();
+    this.stopWatchingOvertimeValue();
   }
 }
 
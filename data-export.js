@@ -0,0 +1,165 @@
+/**
+ * Personio Data Export
+ * Serializes leave periods, the overtime balance and its history as CSV, JSON and iCalendar files
+ *
+ * Dates are calendar dates (YYYY-MM-DD) as shown in Personio, timestamps are ISO 8601 in UTC.
+ */
+class DataExport {
+  /**
+   * Builds a CSV document (RFC 4180, comma separated, CRLF line endings) with a header row
+   * @param {Array<Object>} rows - Records to export
+   * @param {Array<[string, Function]>} columns - Column name and value getter per column
+   */
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.map(([name]) => escape(name)).join(","),
+      ...rows.map((row) =>
+        columns.map(([, getValue]) => escape(getValue(row))).join(",")
+      ),
+    ]
+      .map((line) => `${line}\r\n`)
+      .join("");
+  }
+
+  /**
+   * Builds the CSV of leave periods
+   */
+  static periodsToCsv(periods, getTypeName, getOvertimeFactor) {
+    return DataExport.toCsv(periods, [
+      ["start_date", (period) => period.startDate],
+      ["end_date", (period) => period.endDate],
+      ["half_day_start", (period) => period.halfDayStart],
+      ["half_day_end", (period) => period.halfDayEnd],
+      ["days", (period) => LeavePeriods.getTotalDays(period)],
+      ["hours", (period) => period.hours],
+      ["status", (period) => period.status],
+      ["absence_type_id", (period) => period.absenceTypeId],
+      ["absence_type_name", (period) => getTypeName(period)],
+      ["overtime_factor", (period) => getOvertimeFactor(period.absenceTypeId)],
+    ]);
+  }
+
+  /**
+   * Builds the CSV of the recorded balances
+   */
+  static historyToCsv(entries) {
+    return DataExport.toCsv(entries, [
+      ["date", (entry) => entry.date],
+      ["original_minutes", (entry) => entry.originalMinutes],
+      ["planned_days", (entry) => entry.plannedDays],
+      ["adjusted_minutes", (entry) => entry.adjustedMinutes],
+      [
+        "schedule_minutes_mon_to_sun",
+        (entry) => (entry.schedule || []).join(" "),
+      ],
+    ]);
+  }
+
+  /**
+   * Builds an iCalendar document (RFC 5545) with one all-day event per leave period
+   */
+  static periodsToIcs(periods, getTypeName, exportedAt = new Date()) {
+    const toIcsDate = (date) => date.replace(/-/g, "");
+    const dayAfter = (date) => {
+      const next = new Date(`${date}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      return toIcsDate(next.toISOString().split("T")[0]);
+    };
+    const timestamp = exportedAt
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\.\d{3}/, "");
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Personio Planned Overtime Tracker//EN",
+      "CALSCALE:GREGORIAN",
+    ];
+
+    periods.forEach((period) => {
+      const halfDays = [
+        period.halfDayStart
+          ? Localization.getMessage("exportIcsHalfDayStart")
+          : "",
+        period.halfDayEnd ? Localization.getMessage("exportIcsHalfDayEnd") : "",
+      ].filter(Boolean);
+      const summary =
+        getTypeName(period) +
+        (halfDays.length > 0 ? ` (${halfDays.join(", ")})` : "");
+
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${period.startDate}-${period.endDate}-${period.absenceTypeId}@personio-overtime-adjuster`,
+        `DTSTAMP:${timestamp}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(period.startDate)}`,
+        // DTEND of all-day events is exclusive
+        `DTEND;VALUE=DATE:${dayAfter(period.endDate)}`,
+        `SUMMARY:${DataExport.escapeIcsText(summary)}`,
+        `DESCRIPTION:${DataExport.escapeIcsText(
+          Localization.getMessage("exportIcsDescription", [
+            LeavePeriods.getTotalDays(period),
+            period.status,
+          ])
+        )}`,
+        `STATUS:${period.status === "approved" ? "CONFIRMED" : "TENTATIVE"}`,
+        "TRANSP:OPAQUE",
+        "END:VEVENT"
+      );
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map((line) => `${DataExport.foldIcsLine(line)}\r\n`).join("");
+  }
+
+  /**
+   * Escapes backslashes, separators and line breaks in an iCalendar text value
+   */
+  static escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, "\\\\")
+      .replace(/[;,]/g, (separator) => `\\${separator}`)
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  /**
+   * Folds an iCalendar content line into lines of at most 75 octets (UTF-8), without splitting a character
+   */
+  static foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [""];
+    let octets = 0;
+    Array.from(line).forEach((character) => {
+      const characterOctets = encoder.encode(character).length;
+      // Continuation lines start with a space, leaving room for 74 octets
+      const limit = parts.length === 1 ? 75 : 74;
+      if (octets + characterOctets > limit) {
+        parts.push("");
+        octets = 0;
+      }
+      parts[parts.length - 1] += character;
+      octets += characterOctets;
+    });
+    return parts.join("\r\n ");
+  }
+
+  /**
+   * Offers text content as a file download
+   */
+  static download(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Personio Duration Format
+ * Parses Personio's overtime values in their different formats and formats minutes back in the format that was read
+ */
+class DurationFormat {
+  /**
+   * Personio's current format: "7h 42m", "-30m", "0h"
+   */
+  static get DEFAULT_FORMAT() {
+    return {
+      // "hm" (7h 42m), "decimal" (7,7 h) or "clock" (+40:04)
+      style: "hm",
+      hoursUnit: "h",
+      minutesUnit: "m",
+      // Space between number and unit ("7 Std." vs "7h")
+      unitSpace: "",
+      // Separator between hours and minutes ("7h 42m" vs "7h42m")
+      partSeparator: " ",
+      minusSign: "-",
+      // Positive values carry a "+"
+      plusSign: false,
+      thousandsSeparator: "",
+      decimalSeparator: ".",
+      decimals: 1,
+    };
+  }
+
+  /**
+   * Parses a duration into { minutes, format }, null if the text is not a known duration format
+   *
+   * Understands "7h 42m", "7h42m", "-7h 42m", "42m", "7 Std. 42 Min.", decimal hours ("7,7 h", "1.234,5 Std."),
+   * thousand separators ("1,234h 5m"), the legacy "+40:04", and Unicode minus and no-break spaces.
+   */
+  static parse(text) {
+    const value = String(text || "")
+      // Also turns no-break and thin spaces into plain ones
+      .replace(/\s+/g, " ")
+      .trim();
+
+    // Hyphen, dashes and Unicode minus signs
+    const signMatch = value.match(
+      /^([+\-\u2010-\u2013\u2212\ufe63\uff0d])?\s?(.+)$/
+    );
+    if (!signMatch) {
+      return null;
+    }
+    const sign = signMatch[1] || "";
+    const body = signMatch[2];
+    const format = {
+      ...DurationFormat.DEFAULT_FORMAT,
+      minusSign: sign && sign !== "+" ? sign : "-",
+      plusSign: sign === "+",
+    };
+    const direction = sign && sign !== "+" ? -1 : 1;
+    const integer = "(\\d{1,3}(?:[.,'\u2019]\\d{3})+|\\d+)";
+
+    // Legacy clock format: "+40:04", "-7:42"
+    const clockMatch = body.match(new RegExp(`^${integer}:([0-5]\\d)$`));
+    if (clockMatch) {
+      const hours = DurationFormat.parseNumber(clockMatch[1]);
+      return {
+        minutes: direction * (hours.value * 60 + parseInt(clockMatch[2], 10)),
+        format: {
+          ...format,
+          style: "clock",
+          thousandsSeparator: hours.thousandsSeparator,
+        },
+      };
+    }
+
+    // Hours and minutes: "7h 42m", "7h42m", "7 Std. 42 Min.", "42m"
+    const hmMatch = body.match(
+      new RegExp(
+        `^(?:${integer}( ?)(h|std\\.?)(?=[ \\d]|$))?( ?)(?:(\\d+)( ?)(m|min\\.?))?$`,
+        "i"
+      )
+    );
+    if (hmMatch && (hmMatch[1] || hmMatch[5])) {
+      const hours = DurationFormat.parseNumber(hmMatch[1] || "0");
+      const minutes = parseInt(hmMatch[5] || "0", 10);
+      const hoursUnit =
+        hmMatch[3] || DurationFormat.getMatchingUnit(hmMatch[7]);
+      return {
+        minutes: direction * (hours.value * 60 + minutes),
+        format: {
+          ...format,
+          hoursUnit,
+          minutesUnit: hmMatch[7] || DurationFormat.getMatchingUnit(hoursUnit),
+          unitSpace: hmMatch[2] || hmMatch[6] || "",
+          partSeparator: hmMatch[1] && hmMatch[5] ? hmMatch[4] : " ",
+          thousandsSeparator: hours.thousandsSeparator,
+        },
+      };
+    }
+
+    // Decimal hours: "7,7 h", "7.75h", "1.234,5 Std."
+    const decimalMatch = body.match(/^(\d[\d.,'\u2019]*)( ?)(h|std\.?)$/i);
+    const hours = decimalMatch && DurationFormat.parseNumber(decimalMatch[1]);
+    if (hours) {
+      return {
+        minutes: direction * hours.value * 60,
+        format: {
+          ...format,
+          style: "decimal",
+          hoursUnit: decimalMatch[3],
+          minutesUnit: DurationFormat.getMatchingUnit(decimalMatch[3]),
+          unitSpace: decimalMatch[2],
+          thousandsSeparator: hours.thousandsSeparator,
+          decimalSeparator: hours.decimalSeparator || ",",
+          decimals: Math.max(1, hours.decimals),
+        },
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses a number with optional thousand and decimal separators into { value, thousandsSeparator, decimalSeparator, decimals },
+   * null if the separators are inconsistent
+   *
+   * A single separator followed by exactly three digits is ambiguous: "12,345" is read as 12345 (thousands), not 12.345.
+   * Personio shows decimal hours with one or two decimals, so three decimals are not expected.
+   */
+  static parseNumber(text) {
+    const separators = text.match(/[.,'\u2019]/g) || [];
+    let decimalSeparator = "";
+    let thousandsSeparator = "";
+
+    if (new Set(separators).size > 1) {
+      // "1.234,5" - the last separator is the decimal one
+      decimalSeparator = separators[separators.length - 1];
+      thousandsSeparator = separators.find(
+        (separator) => separator !== decimalSeparator
+      );
+    } else if (separators.length > 1 || /[.,'\u2019]\d{3}$/.test(text)) {
+      // "1.234.567" or "1,234" - a single kind repeated or followed by three digits groups thousands
+      thousandsSeparator = separators[0];
+    } else if (separators.length === 1) {
+      decimalSeparator = separators[0];
+    }
+
+    const [integerPart, fractionPart = ""] = decimalSeparator
+      ? text.split(decimalSeparator)
+      : [text];
+    const grouping = thousandsSeparator
+      ? new RegExp(`^\\d{1,3}(?:\\${thousandsSeparator}\\d{3})*$`)
+      : /^\d+$/;
+    if (!grouping.test(integerPart) || !/^\d*$/.test(fractionPart)) {
+      return null;
+    }
+
+    return {
+      value: parseFloat(
+        `${integerPart.split(thousandsSeparator || " ").join("")}.${
+          fractionPart || "0"
+        }`
+      ),
+      thousandsSeparator,
+      decimalSeparator,
+      decimals: fractionPart.length,
+    };
+  }
+
+  /**
+   * Gets the hours unit matching a minutes unit and vice versa ("Min." ↔ "Std.", "m" ↔ "h")
+   */
+  static getMatchingUnit(unit) {
+    const units = {
+      h: "m",
+      m: "h",
+      "std.": "Min.",
+      std: "Min",
+      "min.": "Std.",
+      min: "Std",
+    };
+    return units[String(unit || "h").toLowerCase()] || "h";
+  }
+
+  /**
+   * Formats minutes in the given format (Personio's "7h 42m" by default)
+   */
+  static format(totalMinutes, format = {}) {
+    const options = { ...DurationFormat.DEFAULT_FORMAT, ...format };
+    const group = (number) =>
+      options.thousandsSeparator
+        ? String(number).replace(
+            /\B(?=(\d{3})+(?!\d))/g,
+            options.thousandsSeparator
+          )
+        : String(number);
+
+    if (options.style === "decimal") {
+      const hours = (Math.abs(totalMinutes) / 60).toFixed(options.decimals);
+      const [integerPart, fractionPart] = hours.split(".");
+      const isZero = parseFloat(hours) === 0;
+      return `${DurationFormat.getSign(totalMinutes, options, isZero)}${group(
+        integerPart
+      )}${options.decimalSeparator}${fractionPart}${options.unitSpace}${
+        options.hoursUnit
+      }`;
+    }
+
+    const absoluteMinutes = Math.round(Math.abs(totalMinutes));
+    const hours = Math.floor(absoluteMinutes / 60);
+    const minutes = absoluteMinutes % 60;
+    const sign = DurationFormat.getSign(
+      totalMinutes,
+      options,
+      absoluteMinutes === 0
+    );
+
+    if (options.style === "clock") {
+      return `${sign}${group(hours)}:${String(minutes).padStart(2, "0")}`;
+    }
+
+    const parts = [];
+    if (hours > 0) {
+      parts.push(`${group(hours)}${options.unitSpace}${options.hoursUnit}`);
+    }
+    if (minutes > 0) {
+      parts.push(`${minutes}${options.unitSpace}${options.minutesUnit}`);
+    }
+    if (parts.length === 0) {
+      return `0${options.unitSpace}${options.hoursUnit}`;
+    }
+    return `${sign}${parts.join(options.partSeparator)}`;
+  }
+
+  /**
+   * Gets the sign to print in front of a value, none for zero
+   */
+  static getSign(totalMinutes, options, isZero) {
+    if (isZero) {
+      return "";
+    }
+    if (totalMinutes < 0) {
+      return options.minusSign;
+    }
+    return options.plusSign ? "+" : "";
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Personio Extraction Protocol
+ * Versioned messages between the attendance page, the calendar extraction page and the background worker
+ */
+class ExtractionProtocol {
+  /**
+   * Protocol identifier carried by every message
+   */
+  static get NAME() {
+    return "personioOvertimeAdjuster";
+  }
+
+  /**
+   * Protocol version, messages of other versions are ignored
+   */
+  static get VERSION() {
+    return 1;
+  }
+
+  /**
+   * Message types: the attendance page requests an extraction, the calendar page reports
+   * progress and finally a result or an error
+   */
+  static get TYPES() {
+    return {
+      REQUEST: "request",
+      PROGRESS: "progress",
+      RESULT: "result",
+      ERROR: "error",
+    };
+  }
+
+  /**
+   * Commands between the extension pages (popup, background worker) and the attendance page:
+   * refresh the leave data, and report that a refresh has finished
+   */
+  static get COMMANDS() {
+    return {
+      REFRESH: "refresh",
+      REFRESH_DONE: "refreshDone",
+    };
+  }
+
+  /**
+   * Generates a random per-request nonce
+   */
+  static generateNonce() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+      ""
+    );
+  }
+
+  /**
+   * Creates a protocol message
+   */
+  static createMessage(type, nonce, payload = {}) {
+    return {
+      protocol: ExtractionProtocol.NAME,
+      version: ExtractionProtocol.VERSION,
+      type,
+      nonce,
+      payload,
+    };
+  }
+
+  /**
+   * Creates a command message
+   */
+  static createCommand(command, payload = {}) {
+    return {
+      protocol: ExtractionProtocol.NAME,
+      version: ExtractionProtocol.VERSION,
+      command,
+      payload,
+    };
+  }
+
+  /**
+   * Checks that a message is a known command of this protocol version
+   */
+  static isCommand(message) {
+    return Boolean(
+      message &&
+        typeof message === "object" &&
+        message.protocol === ExtractionProtocol.NAME &&
+        message.version === ExtractionProtocol.VERSION &&
+        Object.values(ExtractionProtocol.COMMANDS).includes(message.command) &&
+        message.payload &&
+        typeof message.payload === "object"
+    );
+  }
+
+  /**
+   * Checks that a message follows this protocol version and belongs to the expected nonce
+   */
+  static isValidMessage(message, expectedNonce) {
+    return Boolean(
+      message &&
+        typeof message === "object" &&
+        message.protocol === ExtractionProtocol.NAME &&
+        message.version === ExtractionProtocol.VERSION &&
+        Object.values(ExtractionProtocol.TYPES).includes(message.type) &&
+        typeof message.nonce === "string" &&
+        message.nonce.length > 0 &&
+        (expectedNonce === undefined || message.nonce === expectedNonce) &&
+        message.payload &&
+        typeof message.payload === "object"
+    );
+  }
+}
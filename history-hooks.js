@@ -0,0 +1,24 @@
+/**
+ * Personio Overtime Adjuster History Hooks
+ * Runs in the page's context and announces Personio's client-side navigation to the content script,
+ * which cannot see the page's History API calls from its isolated world
+ */
+(() => {
+  // Listened to by WidgetLifecycle
+  const eventName = "personioOvertimeAdjuster:locationchange";
+
+  ["pushState", "replaceState"].forEach((method) => {
+    const original = history[method];
+    if (original.isPersonioOvertimeAdjusterHook) {
+      return;
+    }
+
+    const hook = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(eventName));
+      return result;
+    };
+    hook.isPersonioOvertimeAdjusterHook = true;
+    history[method] = hook;
+  });
+})();
@@ -0,0 +1,197 @@
+/**
+ * Personio iCalendar Parser
+ * Reads the events of an .ics file (RFC 5545) as date ranges for importing planned leave
+ */
+class IcsParser {
+  /**
+   * Parses the VEVENTs of an iCalendar document into { uid, summary, startDate, endDate, wholeDays, recurring }
+   * (inclusive dates), skipping cancelled events and events without a start date
+   *
+   * wholeDays is set for all-day events and timed events lasting at least 24 hours, recurring for events with
+   * a recurrence rule, recurrence dates or a recurrence id (repeated events are not expanded).
+   */
+  static parse(text) {
+    const events = [];
+    let event = null;
+
+    IcsParser.unfold(text).forEach((line) => {
+      if (line === "BEGIN:VEVENT") {
+        event = {};
+        return;
+      }
+      if (line === "END:VEVENT") {
+        const range = event && IcsParser.toDateRange(event);
+        if (range && event.STATUS !== "CANCELLED") {
+          events.push({
+            uid: event.UID || "",
+            summary: IcsParser.unescapeText(event.SUMMARY || ""),
+            ...range,
+            wholeDays: IcsParser.coversWholeDays(event),
+            recurring: Boolean(
+              event.RRULE || event.RDATE || event["RECURRENCE-ID"]
+            ),
+          });
+        }
+        event = null;
+        return;
+      }
+      if (!event) {
+        return;
+      }
+
+      // NAME;PARAM=VALUE:content
+      const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/i);
+      if (match) {
+        const name = match[1].toUpperCase();
+        event[name] = match[3];
+        event[`${name};params`] = match[2].toUpperCase();
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Splits the document into content lines, joining folded continuation lines
+   */
+  static unfold(text) {
+    return String(text || "")
+      .replace(/\r\n|\r/g, "\n")
+      .replace(/\n[ \t]/g, "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Converts DTSTART and DTEND (or DURATION) into an inclusive range of YYYY-MM-DD dates
+   */
+  static toDateRange(event) {
+    const startDate = IcsParser.toDateString(event.DTSTART);
+    if (!startDate) {
+      return null;
+    }
+    const isAllDay =
+      event["DTSTART;params"].includes("VALUE=DATE") ||
+      /^\d{8}$/.test(event.DTSTART);
+
+    let endDate = startDate;
+    if (event.DTEND) {
+      endDate = IcsParser.toDateString(event.DTEND) || startDate;
+      // All-day ends and ends at midnight are exclusive
+      if (isAllDay || /T0{6}Z?$/.test(event.DTEND)) {
+        endDate = IcsParser.addDays(endDate, -1);
+      }
+    } else if (event.DURATION) {
+      const days = IcsParser.parseDurationDays(event.DURATION);
+      endDate = IcsParser.addDays(startDate, Math.max(1, days) - 1);
+    }
+
+    return { startDate, endDate: endDate < startDate ? startDate : endDate };
+  }
+
+  /**
+   * Checks if an event is an all-day event or lasts at least 24 hours
+   */
+  static coversWholeDays(event) {
+    if (
+      event["DTSTART;params"].includes("VALUE=DATE") ||
+      /^\d{8}$/.test(event.DTSTART)
+    ) {
+      return true;
+    }
+
+    const start = IcsParser.toTimestamp(event.DTSTART);
+    if (event.DTEND) {
+      const end = IcsParser.toTimestamp(event.DTEND);
+      return start !== null && end !== null && end - start >= 24 * 60 * 60000;
+    }
+    return IcsParser.parseDurationMinutes(event.DURATION) >= 24 * 60;
+  }
+
+  /**
+   * Converts an iCalendar date-time to milliseconds, reading times without "Z" as UTC too
+   * (only differences between the start and end of one event are compared)
+   */
+  static toTimestamp(value) {
+    const match = String(value || "").match(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/
+    );
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match;
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  /**
+   * Converts an iCalendar date ("20250804") or date-time ("20250804T090000", UTC with "Z") to YYYY-MM-DD
+   */
+  static toDateString(value) {
+    const match = String(value || "").match(
+      /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/
+    );
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (utc) {
+      // UTC times belong to the local calendar day they fall on
+      const date = new Date(
+        Date.UTC(year, month - 1, day, hours, minutes, seconds)
+      );
+      return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+      ].join("-");
+    }
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Counts the whole days of a duration like "P3D", "P2W" or "P1DT12H"
+   */
+  static parseDurationDays(duration) {
+    const match = String(duration).match(/^P(?:(\d+)W)?(?:(\d+)D)?/);
+    if (!match) {
+      return 0;
+    }
+    return parseInt(match[1] || "0", 10) * 7 + parseInt(match[2] || "0", 10);
+  }
+
+  /**
+   * Counts the minutes of a duration like "PT1H30M", "P1DT12H" or "P2W"
+   */
+  static parseDurationMinutes(duration) {
+    const match = String(duration || "").match(
+      /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/
+    );
+    if (!match) {
+      return 0;
+    }
+    const [weeks, days, hours, minutes] = match
+      .slice(1)
+      .map((part) => parseInt(part || "0", 10));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+  }
+
+  /**
+   * Adds days to a YYYY-MM-DD date
+   */
+  static addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split("T")[0];
+  }
+
+  /**
+   * Reverts the escaping of iCalendar text values
+   */
+  static unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (escaped, character) =>
+      character.toLowerCase() === "n" ? "\n" : character
+    );
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Personio Leave Periods
+ * Normalizes absence periods from Personio's JSON data and counts their planned days
+ */
+class LeavePeriods {
+  /**
+   * Converts a raw Personio absence period into a structured period
+   * ({ startDate, endDate, halfDayStart, halfDayEnd, days, hours, status, absenceTypeId, absenceTypeName })
+   */
+  static normalize(rawPeriod) {
+    if (!rawPeriod || typeof rawPeriod !== "object") {
+      return null;
+    }
+
+    // Personio wraps entities as { type, attributes: { ... } }
+    const period = rawPeriod.attributes || rawPeriod;
+    const absenceType = LeavePeriods.unwrap(
+      period.time_off_type ||
+        period.timeOffType ||
+        period.absence_type ||
+        period.absenceType
+    );
+
+    const startDate = LeavePeriods.toDateString(
+      period.start_date || period.startDate || period.start
+    );
+    const endDate = LeavePeriods.toDateString(
+      period.end_date || period.endDate || period.end || startDate
+    );
+    if (!startDate || !endDate) {
+      return null;
+    }
+
+    const days = parseFloat(
+      period.days_count ?? period.daysCount ?? period.effective_days ?? ""
+    );
+    const minutes = parseFloat(
+      period.duration_minutes ?? period.durationMinutes ?? ""
+    );
+    const hours = parseFloat(period.hours ?? "");
+
+    return {
+      startDate,
+      endDate,
+      halfDayStart: Boolean(period.half_day_start ?? period.halfDayStart),
+      halfDayEnd: Boolean(period.half_day_end ?? period.halfDayEnd),
+      days: isNaN(days) ? null : days,
+      hours: !isNaN(hours) ? hours : !isNaN(minutes) ? minutes / 60 : null,
+      status: String(period.status || "approved").toLowerCase(),
+      absenceTypeId: String(
+        absenceType.id ??
+          period.time_off_type_id ??
+          period.timeOffTypeId ??
+          period.absence_type_id ??
+          period.absenceTypeId ??
+          ""
+      ),
+      absenceTypeName: String(absenceType.name || ""),
+    };
+  }
+
+  /**
+   * Unwraps a nested Personio entity ({ attributes: { ... } }) or returns an empty object
+   */
+  static unwrap(entity) {
+    if (!entity || typeof entity !== "object") {
+      return {};
+    }
+    return entity.attributes || entity;
+  }
+
+  /**
+   * Reduces an ISO date or date-time string to YYYY-MM-DD
+   */
+  static toDateString(value) {
+    const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Counts Monday-Friday days between two YYYY-MM-DD dates (inclusive)
+   */
+  static countWeekdays(startDate, endDate) {
+    let count = 0;
+    const date = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+
+    while (date <= end) {
+      const weekday = date.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) {
+        count++;
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return count;
+  }
+
+  /**
+   * Gets the number of leave days of a period (Personio's count, or weekdays minus half days)
+   */
+  static getTotalDays(period) {
+    if (period.days !== null) {
+      return period.days;
+    }
+
+    return (
+      LeavePeriods.countWeekdays(period.startDate, period.endDate) -
+      (period.halfDayStart ? 0.5 : 0) -
+      (period.halfDayEnd && period.endDate !== period.startDate ? 0.5 : 0)
+    );
+  }
+
+  /**
+   * Checks if a YYYY-MM-DD date is Monday to Friday (default working days)
+   */
+  static isWeekday(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6;
+  }
+
+  /**
+   * Splits a period into its working days with the share of a leave day each one takes
+   * ([{ date, days }], half days count 0.5, scaled to Personio's day count for public holidays)
+   */
+  static getDailyPortions(period, isWorkday = LeavePeriods.isWeekday) {
+    const portions = [];
+    const date = new Date(`${period.startDate}T00:00:00Z`);
+    const end = new Date(`${period.endDate}T00:00:00Z`);
+
+    while (date <= end) {
+      const dateString = date.toISOString().split("T")[0];
+      if (isWorkday(dateString)) {
+        const isHalfDay =
+          (period.halfDayStart && dateString === period.startDate) ||
+          (period.halfDayEnd && dateString === period.endDate);
+        portions.push({ date: dateString, days: isHalfDay ? 0.5 : 1 });
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    const nominalDays = portions.reduce(
+      (sum, portion) => sum + portion.days,
+      0
+    );
+    // Without Personio's count the working days themselves are the total
+    const totalDays = period.days ?? nominalDays;
+    if (nominalDays > 0 && totalDays !== nominalDays) {
+      portions.forEach((portion) => {
+        portion.days = (portion.days * totalDays) / nominalDays;
+      });
+    }
+
+    return portions;
+  }
+
+  /**
+   * Counts the days of a period on or after fromDate and before toDate (open-ended if omitted)
+   */
+  static getDaysBetween(
+    period,
+    fromDate,
+    toDate = null,
+    isWorkday = LeavePeriods.isWeekday
+  ) {
+    if (period.endDate < fromDate || (toDate && period.startDate >= toDate)) {
+      return 0;
+    }
+
+    return LeavePeriods.getDailyPortions(period, isWorkday)
+      .filter(
+        (portion) =>
+          portion.date >= fromDate && (!toDate || portion.date < toDate)
+      )
+      .reduce((sum, portion) => sum + portion.days, 0);
+  }
+
+  /**
+   * Sums the approved days on or after the given date per absence type
+   */
+  static sumPlannedDaysByType(
+    periods,
+    fromDate,
+    absenceTypeIds,
+    isWorkday = LeavePeriods.isWeekday
+  ) {
+    const daysByType = {};
+    absenceTypeIds.forEach((absenceTypeId) => {
+      daysByType[absenceTypeId] = 0;
+    });
+
+    periods
+      .filter(
+        (period) =>
+          period.status === "approved" &&
+          absenceTypeIds.includes(period.absenceTypeId)
+      )
+      .forEach((period) => {
+        daysByType[period.absenceTypeId] += LeavePeriods.getDaysBetween(
+          period,
+          fromDate,
+          null,
+          isWorkday
+        );
+      });
+
+    Object.keys(daysByType).forEach((absenceTypeId) => {
+      daysByType[absenceTypeId] = daysByType[absenceTypeId].toFixed(1);
+    });
+    return daysByType;
+  }
+
+  /**
+   * Adds the days of imported periods that no given period covers (leave already filed in Personio wins),
+   * splitting an imported period around the covered days
+   */
+  static mergeImported(periods, importedPeriods) {
+    const merged = [...periods];
+    importedPeriods.forEach((imported) => {
+      merged.push(...LeavePeriods.subtractCovered(imported, merged));
+    });
+    return merged.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /**
+   * Splits a period into the ranges of its days that none of the given periods covers
+   */
+  static subtractCovered(period, periods) {
+    const ranges = [];
+    const date = new Date(`${period.startDate}T00:00:00Z`);
+    const end = new Date(`${period.endDate}T00:00:00Z`);
+
+    let isInRange = false;
+
+    while (date <= end) {
+      const dateString = date.toISOString().split("T")[0];
+      const isCovered = periods.some(
+        (other) => other.startDate <= dateString && dateString <= other.endDate
+      );
+      if (!isCovered && isInRange) {
+        ranges[ranges.length - 1].endDate = dateString;
+      } else if (!isCovered) {
+        ranges.push({ startDate: dateString, endDate: dateString });
+      }
+      isInRange = !isCovered;
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    const isWhole =
+      ranges.length === 1 &&
+      ranges[0].startDate === period.startDate &&
+      ranges[0].endDate === period.endDate;
+    if (isWhole) {
+      return [period];
+    }
+    return ranges.map(({ startDate, endDate }) => ({
+      ...period,
+      startDate,
+      endDate,
+      halfDayStart: period.halfDayStart && startDate === period.startDate,
+      halfDayEnd: period.halfDayEnd && endDate === period.endDate,
+      // Personio's count no longer applies to a part of the period
+      days: null,
+    }));
+  }
+}
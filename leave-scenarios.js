@@ -0,0 +1,134 @@
+/**
+ * Personio Leave Scenarios
+ * Named what-if scenarios of hypothetical leave blocks, planned on top of the extracted leave
+ */
+class LeaveScenarios {
+  constructor(storage) {
+    this.storage = storage;
+
+    // Storage key for { activeId, scenarios: [{ id, name, blocks: [{ startDate, endDate, absenceTypeId }] }] }
+    this.scenariosKey = "personioTimeAdjuster_scenarios";
+  }
+
+  /**
+   * Loads the stored scenarios and the id of the active one
+   */
+  load() {
+    const stored = this.storage.get(this.scenariosKey);
+    if (stored && Array.isArray(stored.scenarios)) {
+      const activeId = stored.scenarios.some(
+        (scenario) => scenario.id === stored.activeId
+      )
+        ? stored.activeId
+        : null;
+      return { activeId, scenarios: stored.scenarios };
+    }
+    return { activeId: null, scenarios: [] };
+  }
+
+  /**
+   * Reads, modifies and writes the stored scenarios
+   */
+  update(modify) {
+    const state = this.load();
+    modify(state);
+    this.storage.set(this.scenariosKey, state);
+    return state;
+  }
+
+  /**
+   * Gets the active scenario, null when the actual leave is shown
+   */
+  getActive() {
+    const { activeId, scenarios } = this.load();
+    return scenarios.find((scenario) => scenario.id === activeId) || null;
+  }
+
+  /**
+   * Switches to a scenario (null switches back to the actual leave)
+   */
+  setActive(scenarioId) {
+    this.update((state) => {
+      state.activeId = scenarioId;
+    });
+  }
+
+  /**
+   * Creates an empty scenario and makes it the active one
+   */
+  create(name) {
+    const scenario = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: String(name).trim() || "Scenario",
+      blocks: [],
+    };
+    this.update((state) => {
+      state.scenarios.push(scenario);
+      state.activeId = scenario.id;
+    });
+    return scenario;
+  }
+
+  /**
+   * Deletes a scenario
+   */
+  remove(scenarioId) {
+    this.update((state) => {
+      state.scenarios = state.scenarios.filter(
+        (scenario) => scenario.id !== scenarioId
+      );
+      if (state.activeId === scenarioId) {
+        state.activeId = null;
+      }
+    });
+  }
+
+  /**
+   * Adds a hypothetical leave block to a scenario, returns false for an invalid date range
+   */
+  addBlock(scenarioId, { startDate, endDate, absenceTypeId }) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+    if (!isDate(startDate) || !isDate(endDate) || endDate < startDate) {
+      return false;
+    }
+
+    this.update((state) => {
+      const scenario = state.scenarios.find(
+        (candidate) => candidate.id === scenarioId
+      );
+      if (scenario) {
+        scenario.blocks.push({ startDate, endDate, absenceTypeId });
+        scenario.blocks.sort((a, b) => a.startDate.localeCompare(b.startDate));
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Removes a leave block from a scenario by its position
+   */
+  removeBlock(scenarioId, index) {
+    this.update((state) => {
+      const scenario = state.scenarios.find(
+        (candidate) => candidate.id === scenarioId
+      );
+      if (scenario) {
+        scenario.blocks.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Converts the blocks of a scenario into approved leave periods
+   */
+  static toPeriods(scenario) {
+    if (!scenario) {
+      return [];
+    }
+
+    return scenario.blocks
+      .map((block) => LeavePeriods.normalize(block))
+      .filter(Boolean)
+      .map((period) => ({ ...period, hypothetical: true }));
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Personio Overtime Adjuster Localization
+ * Looks up UI strings in the message catalogs (_locales) and recognizes Personio's own texts in its languages
+ */
+class Localization {
+  /**
+   * Gets a message in the browser's language, substituting $1, $2, … (the message name if it is missing)
+   */
+  static getMessage(name, substitutions = []) {
+    const message = chrome.i18n.getMessage(
+      name,
+      substitutions.map((substitution) => String(substitution))
+    );
+    return message || name;
+  }
+
+  /**
+   * Fills the elements of a page marked with data-i18n (text), data-i18n-title and data-i18n-placeholder
+   */
+  static localizePage(root = document) {
+    root.documentElement.lang = chrome.i18n.getUILanguage();
+
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = Localization.getMessage(element.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+      element.title = Localization.getMessage(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+      element.placeholder = Localization.getMessage(
+        element.dataset.i18nPlaceholder
+      );
+    });
+  }
+
+  /**
+   * Personio's texts the extension reads, in the languages Personio can be set to
+   * (independent of the browser's language, which may differ from Personio's)
+   */
+  static get PERSONIO_TEXTS() {
+    return {
+      // Label of the balance statement with the approved planned leave
+      plannedApprovedLabels: ["Planned (approved)", "Geplant (genehmigt)"],
+
+      // Note on leave beyond the balance period: "Not including 3 days", "Nicht enthalten: 3 Tage"
+      notIncludedDays:
+        /(?:Not including|Nicht enthalten|Nicht eingerechnet):?\s*(\d+(?:[.,]\d+)?)\s*(?:days?|d|Tage?|T)\b/i,
+
+      // Dates of an absence period: "12.08.2025", "12/08/2025", "2025-08-12", "Aug 12, 2025", "12. Aug. 2025"
+      dates:
+        /(\d{4})-(\d{2})-(\d{2})|(\d{1,2})[./](\d{1,2})[./](\d{4})|([a-zä]{3})[a-zä]*\.?\s+(\d{1,2}),?\s+(\d{4})|(\d{1,2})\.?\s+([a-zä]{3})[a-zä]*\.?\s+(\d{4})/gi,
+
+      // Status of an absence period other than approved
+      pendingStatus: /\b(?:Pending|Requested|Ausstehend|Beantragt)\b/i,
+      declinedStatus:
+        /\b(?:Rejected|Declined|Cancell?ed|Abgelehnt|Storniert)\b/i,
+
+      // Half-day marker of an absence period: "Half day", "Halber Tag", "½"
+      halfDay: /Half[- ]day|Halber Tag|halbtags|½/i,
+
+      // Day counts: "5d", "5 days", "5 Tage", "5 T"
+      days: /(\d+(?:[.,]\d+)?)\s*(?:d|days?|T|Tage?|Tg\.?)(?![a-zäöü])/i,
+
+      // Hours and minutes: "8h 30m", "8 Std. 30 Min.", "8 Stunden"
+      hours: /(\d+(?:[.,]\d+)?)\s*(?:h|hours?|Std\.?|Stunden?)(?![a-zäöü])/i,
+      minutes: /(\d+)\s*(?:m|min\.?|minutes?|Minuten?)(?![a-zäöü])/i,
+    };
+  }
+
+  /**
+   * Checks if a text is one of Personio's texts of the given key, ignoring case and extra whitespace
+   */
+  static isPersonioText(key, text) {
+    const normalize = (value) =>
+      String(value || "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .toLowerCase();
+    return Localization.PERSONIO_TEXTS[key].some(
+      (candidate) => normalize(candidate) === normalize(text)
+    );
+  }
+
+  /**
+   * Gets the order of day and month in the numeric dates of a locale: "dm" (12.08.2025, 12/08/2025) or "md" (08/12/2025)
+   */
+  static getNumericDateOrder(locale) {
+    try {
+      const types = new Intl.DateTimeFormat(locale, {
+        day: "numeric",
+        month: "numeric",
+        year: "numeric",
+      })
+        .formatToParts(new Date(2000, 11, 31))
+        .map((part) => part.type);
+      return types.indexOf("month") < types.indexOf("day") ? "md" : "dm";
+    } catch (error) {
+      return "dm";
+    }
+  }
+
+  /**
+   * Parses the dates in Personio's text into YYYY-MM-DD strings, in the order they appear
+   * (numeric dates in the day and month order of the given locale, e.g. the page's language)
+   */
+  static parseDates(text, locale) {
+    const isMonthFirst = Localization.getNumericDateOrder(locale) === "md";
+    const months = [
+      "jan",
+      "feb",
+      "mar",
+      "apr",
+      "may",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "oct",
+      "nov",
+      "dec",
+    ];
+    const germanMonths = { mär: "mar", mai: "may", okt: "oct", dez: "dec" };
+    const toMonth = (name) => {
+      const key = name.toLowerCase();
+      return months.indexOf(germanMonths[key] || key) + 1;
+    };
+
+    const dates = [];
+    const pattern = Localization.PERSONIO_TEXTS.dates;
+    for (const match of String(text || "").matchAll(pattern)) {
+      const [year, month, day] = match[1]
+        ? [match[1], Number(match[2]), Number(match[3])]
+        : match[6] && isMonthFirst
+        ? [match[6], Number(match[4]), Number(match[5])]
+        : match[6]
+        ? [match[6], Number(match[5]), Number(match[4])]
+        : match[9]
+        ? [match[9], toMonth(match[7]), Number(match[8])]
+        : [match[12], toMonth(match[11]), Number(match[10])];
+      if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+        dates.push(
+          `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+            2,
+            "0"
+          )}`
+        );
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Parses a number of days from Personio's text ("5d", "14,5 Tage"), 0 if there is none
+   */
+  static parseDays(text) {
+    const match = String(text || "").match(Localization.PERSONIO_TEXTS.days);
+    return match ? parseFloat(match[1].replace(",", ".")) : 0;
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Personio Overtime Adjuster Options Page
+ * Edits the settings stored by PersonioOvertimeConfig
+ */
+class PersonioOvertimeOptions {
+  constructor() {
+    this.config = new PersonioOvertimeConfig();
+    this.notifications = new OvertimeNotifications(this.config);
+
+    this.form = document.getElementById("optionsForm");
+    this.absenceTypesContainer = document.getElementById("absenceTypes");
+    this.workSchedulesContainer = document.getElementById("workSchedules");
+    this.notificationSnoozesList = document.getElementById(
+      "notificationSnoozes"
+    );
+    this.statusElement = document.getElementById("status");
+
+    this.init();
+  }
+
+  async init() {
+    Localization.localizePage();
+
+    const values = await this.config.load();
+    this.fillForm(values);
+    this.renderNotificationSnoozes(await this.notifications.getState());
+
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.handleSave();
+    });
+    document
+      .getElementById("addAbsenceType")
+      .addEventListener("click", () => this.addAbsenceTypeRow());
+    document
+      .getElementById("addWorkSchedule")
+      .addEventListener("click", () => this.addWorkScheduleRow());
+    document
+      .getElementById("resetDefaults")
+      .addEventListener("click", () =>
+        this.fillForm(PersonioOvertimeConfig.getDefaults())
+      );
+  }
+
+  /**
+   * Fills the form fields with the given settings
+   */
+  fillForm(values) {
+    this.form.personioHost.value = values.personioHost;
+    this.form.workdayHours.value = values.workdayMinutes / 60;
+    this.form.dailySurplusMinutes.value = values.dailySurplusMinutes;
+    this.form.staleAfterDays.value = values.staleAfterDays;
+    this.form.extractionSource.value = values.extractionSource;
+    this.form.autoRefresh.value = values.autoRefresh;
+    this.form.displayUnit.value = values.displayUnit;
+    this.form.showAdjustment.checked = values.showAdjustment;
+    this.form.notifyNegativeBalance.checked = values.notifyNegativeBalance;
+    this.form.notifyAboveHours.value =
+      values.notifyAboveMinutes > 0 ? values.notifyAboveMinutes / 60 : "";
+    this.form.notifyStaleData.checked = values.notifyStaleData;
+    this.form.notifyNewLeave.checked = values.notifyNewLeave;
+    this.form.absenceDataPath.value = values.absenceDataPath;
+    this.form.absenceDataBaseUrl.value = values.absenceDataBaseUrl;
+    this.form.diagnostics.checked = values.diagnostics;
+
+    this.absenceTypesContainer.innerHTML = "";
+    values.absenceTypes.forEach((type) => this.addAbsenceTypeRow(type));
+
+    this.workSchedulesContainer.innerHTML = "";
+    values.workSchedules.forEach((schedule) =>
+      this.addWorkScheduleRow(schedule)
+    );
+  }
+
+  /**
+   * Adds an editable row for an absence type
+   */
+  addAbsenceTypeRow(type = { id: "", name: "", rule: "full", factor: 1 }) {
+    const row = document.createElement("div");
+    row.className = "absence-type-row";
+
+    const idInput = document.createElement("input");
+    idInput.type = "text";
+    idInput.name = "absenceTypeId";
+    idInput.placeholder = "absenceTypeId";
+    idInput.value = type.id;
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.name = "absenceTypeName";
+    nameInput.placeholder = Localization.getMessage("optionsAbsenceTypeName");
+    nameInput.value = type.name;
+
+    const ruleSelect = document.createElement("select");
+    ruleSelect.name = "absenceTypeRule";
+    ruleSelect.title = Localization.getMessage("optionsAbsenceTypeRuleTitle");
+    [
+      ["full", "optionsRuleFull"],
+      ["partial", "optionsRulePartial"],
+      ["none", "optionsRuleNone"],
+    ].forEach(([value, messageName]) =>
+      ruleSelect.add(new Option(Localization.getMessage(messageName), value))
+    );
+    ruleSelect.value = type.rule;
+
+    const factorInput = document.createElement("input");
+    factorInput.type = "number";
+    factorInput.name = "absenceTypeFactor";
+    factorInput.title = Localization.getMessage(
+      "optionsAbsenceTypeFactorTitle"
+    );
+    factorInput.min = "0";
+    factorInput.max = "1";
+    factorInput.step = "0.05";
+    factorInput.value = type.rule === "partial" ? type.factor : 0.5;
+    factorInput.hidden = type.rule !== "partial";
+    ruleSelect.addEventListener("change", () => {
+      factorInput.hidden = ruleSelect.value !== "partial";
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = Localization.getMessage("optionsRemove");
+    removeButton.addEventListener("click", () => row.remove());
+
+    row.append(idInput, nameInput, ruleSelect, factorInput, removeButton);
+    this.absenceTypesContainer.appendChild(row);
+  }
+
+  /**
+   * Adds an editable row for a working schedule
+   */
+  addWorkScheduleRow(
+    schedule = { effectiveFrom: "", minutes: [480, 480, 480, 480, 480, 0, 0] }
+  ) {
+    const row = document.createElement("div");
+    row.className = "work-schedule-row";
+
+    const dateInput = document.createElement("input");
+    dateInput.type = "date";
+    dateInput.name = "workScheduleEffectiveFrom";
+    dateInput.title = Localization.getMessage(
+      "optionsWorkScheduleEffectiveFromTitle"
+    );
+    dateInput.value = schedule.effectiveFrom;
+    row.appendChild(dateInput);
+
+    const weekdays = Localization.getMessage("optionsWeekdays").split(",");
+    weekdays.forEach((weekday, index) => {
+      const hoursInput = document.createElement("input");
+      hoursInput.type = "number";
+      hoursInput.name = "workScheduleHours";
+      hoursInput.title = Localization.getMessage(
+        "optionsWorkScheduleHoursTitle",
+        [weekday]
+      );
+      hoursInput.placeholder = weekday;
+      hoursInput.min = "0";
+      hoursInput.max = "24";
+      hoursInput.step = "0.25";
+      hoursInput.value = schedule.minutes[index] / 60;
+      row.appendChild(hoursInput);
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = Localization.getMessage("optionsRemove");
+    removeButton.addEventListener("click", () => row.remove());
+    row.appendChild(removeButton);
+
+    this.workSchedulesContainer.appendChild(row);
+  }
+
+  /**
+   * Reads the settings from the form fields
+   */
+  readForm() {
+    const absenceTypes = Array.from(
+      this.absenceTypesContainer.querySelectorAll(".absence-type-row")
+    ).map((row) => ({
+      id: row.querySelector('[name="absenceTypeId"]').value,
+      name: row.querySelector('[name="absenceTypeName"]').value,
+      rule: row.querySelector('[name="absenceTypeRule"]').value,
+      factor: row.querySelector('[name="absenceTypeFactor"]').value,
+    }));
+
+    const workSchedules = Array.from(
+      this.workSchedulesContainer.querySelectorAll(".work-schedule-row")
+    ).map((row) => ({
+      effectiveFrom: row.querySelector('[name="workScheduleEffectiveFrom"]')
+        .value,
+      minutes: Array.from(
+        row.querySelectorAll('[name="workScheduleHours"]')
+      ).map((input) => (parseFloat(input.value.replace(",", ".")) || 0) * 60),
+    }));
+
+    return {
+      personioHost: this.form.personioHost.value,
+      absenceTypes,
+      workdayMinutes:
+        parseFloat(this.form.workdayHours.value.replace(",", ".")) * 60,
+      workSchedules,
+      dailySurplusMinutes: this.form.dailySurplusMinutes.value,
+      staleAfterDays: this.form.staleAfterDays.value,
+      extractionSource: this.form.extractionSource.value,
+      autoRefresh: this.form.autoRefresh.value,
+      displayUnit: this.form.displayUnit.value,
+      showAdjustment: this.form.showAdjustment.checked,
+      notifyNegativeBalance: this.form.notifyNegativeBalance.checked,
+      notifyAboveMinutes:
+        (parseFloat(this.form.notifyAboveHours.value.replace(",", ".")) || 0) *
+        60,
+      notifyStaleData: this.form.notifyStaleData.checked,
+      notifyNewLeave: this.form.notifyNewLeave.checked,
+      absenceDataPath: this.form.absenceDataPath.value,
+      absenceDataBaseUrl: this.form.absenceDataBaseUrl.value,
+      diagnostics: this.form.diagnostics.checked,
+    };
+  }
+
+  /**
+   * Lists the notification rules with a button to snooze them for a week or resume them
+   */
+  renderNotificationSnoozes(state) {
+    this.notificationSnoozesList.innerHTML = "";
+
+    Object.entries(OvertimeNotifications.RULES).forEach(
+      ([rule, messageName]) => {
+        const name = Localization.getMessage(messageName);
+        const snoozedUntil = (state.rules[rule] || {}).snoozedUntil;
+        const isSnoozed = snoozedUntil && Date.parse(snoozedUntil) > Date.now();
+
+        const item = document.createElement("li");
+        item.textContent = `${
+          isSnoozed
+            ? Localization.getMessage("optionsSnoozedUntil", [
+                name,
+                new Date(snoozedUntil).toLocaleString(undefined, {
+                  dateStyle: "short",
+                  timeStyle: "short",
+                }),
+              ])
+            : name
+        } `;
+
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = Localization.getMessage(
+          isSnoozed ? "optionsResume" : "optionsSnoozeWeek"
+        );
+        button.addEventListener("click", async () => {
+          this.renderNotificationSnoozes(
+            await this.notifications.snooze(rule, isSnoozed ? 0 : 7)
+          );
+        });
+        item.appendChild(button);
+
+        this.notificationSnoozesList.appendChild(item);
+      }
+    );
+  }
+
+  /**
+   * Saves the form and shows the normalized result
+   */
+  async handleSave() {
+    try {
+      const saved = await this.config.save(this.readForm());
+      this.fillForm(saved);
+      this.showStatus(Localization.getMessage("optionsSaved"));
+    } catch (error) {
+      console.error("PersonioOvertimeAdjuster: Error saving settings:", error);
+      this.showStatus(Localization.getMessage("optionsSavingFailed"));
+    }
+  }
+
+  /**
+   * Shows a short status message next to the save button
+   */
+  showStatus(message) {
+    this.statusElement.textContent = message;
+    setTimeout(() => {
+      this.statusElement.textContent = "";
+    }, 2000);
+  }
+}
+
+new PersonioOvertimeOptions();
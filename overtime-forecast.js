@@ -0,0 +1,192 @@
+/**
+ * Personio Overtime Forecast
+ * Projects the overtime balance day by day from planned leave and an expected daily surplus,
+ * and draws it as a week-by-week step chart
+ */
+class OvertimeForecast {
+  /**
+   * Projects the balance from fromDate to toDate (YYYY-MM-DD, inclusive)
+   * @param {Object} options
+   * @param {number} options.startMinutes - Balance at the start of fromDate
+   * @param {Array} options.periods - Leave periods (only approved ones are counted)
+   * @param {WorkSchedule} options.schedule - Working minutes per date
+   * @param {Function} options.getOvertimeFactor - Share of a leave day subtracted from overtime, by absence type id
+   * @param {number} options.dailySurplusMinutes - Expected overtime gained (or lost) on every worked day
+   * @returns {{ weeks: Array<{date: string, minutes: number}>, endMinutes: number,
+   *   zeroCrossings: Array<{date: string, direction: string}> }} - every sign change, direction "negative" or "positive"
+   */
+  static project({
+    startMinutes,
+    fromDate,
+    toDate,
+    periods,
+    schedule,
+    getOvertimeFactor,
+    dailySurplusMinutes,
+  }) {
+    const leaveByDate = OvertimeForecast.getLeaveByDate(
+      periods,
+      schedule,
+      getOvertimeFactor
+    );
+
+    const weeks = [{ date: fromDate, minutes: startMinutes }];
+    let balance = startMinutes;
+    const zeroCrossings = [];
+    const date = new Date(`${fromDate}T00:00:00Z`);
+    const end = new Date(`${toDate}T00:00:00Z`);
+
+    while (date <= end) {
+      const dateString = date.toISOString().split("T")[0];
+      const previousBalance = balance;
+      if (schedule.isWorkday(dateString)) {
+        const leave = leaveByDate[dateString] || { days: 0, minutes: 0 };
+        // Leave days are not worked, so they earn no surplus
+        balance +=
+          dailySurplusMinutes * Math.max(0, 1 - leave.days) - leave.minutes;
+      }
+
+      if (balance < 0 !== previousBalance < 0) {
+        zeroCrossings.push({
+          date: dateString,
+          direction: balance < 0 ? "negative" : "positive",
+        });
+      }
+
+      // One point per week (Sunday) and at the end of the range
+      if (date.getUTCDay() === 0 || date.getTime() === end.getTime()) {
+        weeks.push({ date: dateString, minutes: balance });
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return { weeks, endMinutes: balance, zeroCrossings };
+  }
+
+  /**
+   * Sums the share of a day on leave and the overtime minutes it consumes per date
+   */
+  static getLeaveByDate(periods, schedule, getOvertimeFactor) {
+    const leaveByDate = {};
+
+    periods
+      .filter((period) => period.status === "approved")
+      .forEach((period) => {
+        const factor = getOvertimeFactor(period.absenceTypeId);
+        LeavePeriods.getDailyPortions(period, (date) =>
+          schedule.isWorkday(date)
+        ).forEach((portion) => {
+          const leave = leaveByDate[portion.date] || { days: 0, minutes: 0 };
+          leave.days += portion.days;
+          leave.minutes +=
+            portion.days * schedule.getMinutesForDate(portion.date) * factor;
+          leaveByDate[portion.date] = leave;
+        });
+      });
+
+    return leaveByDate;
+  }
+
+  /**
+   * Draws the weekly balances as an SVG step chart with a zero line and the zero crossings marked
+   */
+  static createChart(forecast, formatMinutes, width = 280, height = 90) {
+    const createElement = OvertimeForecast.createSvgElement;
+
+    const { weeks, zeroCrossings } = forecast;
+    const firstTime = Date.parse(weeks[0].date);
+    const totalTime = Math.max(
+      1,
+      Date.parse(weeks[weeks.length - 1].date) - firstTime
+    );
+    const values = weeks.map((week) => week.minutes).concat(0);
+    const minValue = Math.min(...values);
+    const valueRange = Math.max(1, Math.max(...values) - minValue);
+    const padding = 4;
+
+    const toX = (date) =>
+      padding +
+      ((Date.parse(date) - firstTime) / totalTime) * (width - 2 * padding);
+    const toY = (minutes) =>
+      padding +
+      (1 - (minutes - minValue) / valueRange) * (height - 2 * padding);
+
+    const svg = createElement("svg", {
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+      role: "img",
+    });
+
+    // Zero line
+    svg.appendChild(
+      createElement("line", {
+        x1: padding,
+        x2: width - padding,
+        y1: toY(0),
+        y2: toY(0),
+        class: "chart-grid",
+        "stroke-dasharray": "3 3",
+      })
+    );
+
+    // Each week holds its balance until the next one
+    const path = weeks
+      .map((week, index) =>
+        index === 0
+          ? `M ${toX(week.date)} ${toY(week.minutes)}`
+          : `H ${toX(week.date)} V ${toY(week.minutes)}`
+      )
+      .join(" ");
+    svg.appendChild(
+      createElement("path", {
+        d: path,
+        class: "chart-line",
+        "stroke-width": 1.5,
+      })
+    );
+
+    zeroCrossings.forEach((zeroCrossing) => {
+      svg.appendChild(
+        createElement("line", {
+          x1: toX(zeroCrossing.date),
+          x2: toX(zeroCrossing.date),
+          y1: padding,
+          y2: height - padding,
+          class: "chart-marker",
+        })
+      );
+    });
+
+    // Weekly points with the balance as tooltip
+    weeks.forEach((week) => {
+      const point = createElement("circle", {
+        cx: toX(week.date),
+        cy: toY(week.minutes),
+        r: 3,
+        class: week.minutes < 0 ? "chart-point-negative" : "chart-point",
+        "fill-opacity": 0.6,
+      });
+      const title = createElement("title", {});
+      title.textContent = `${week.date}: ${formatMinutes(week.minutes)}`;
+      point.appendChild(title);
+      svg.appendChild(point);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Creates an SVG element with the given attributes
+   */
+  static createSvgElement(name, attributes) {
+    const element = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      name
+    );
+    Object.entries(attributes).forEach(([key, value]) =>
+      element.setAttribute(key, value)
+    );
+    return element;
+  }
+}
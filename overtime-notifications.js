@@ -0,0 +1,313 @@
+/**
+ * Personio Overtime Notifications
+ * Evaluates the notification rules against the balance published by the attendance page and shows desktop notifications
+ */
+class OvertimeNotifications {
+  constructor(config) {
+    this.config = config;
+
+    // Storage key for { rules: { [rule]: { lastNotified (date), snoozedUntil (timestamp) } }, knownLeave: [leave keys] | null }
+    this.stateKey = "personioTimeAdjuster_notificationState";
+
+    // Written by the content script on the attendance page
+    this.snapshotKey = "personioTimeAdjuster_snapshot";
+
+    // Re-checks stale data while the attendance page is not opened
+    this.checkAlarm = "personioTimeAdjuster_notificationCheck";
+
+    // Snooze lengths offered as notification buttons (days)
+    this.SNOOZE_DAYS = [1, 7];
+
+    // Checks run one after the other, so quick snapshot changes do not notify twice from the same state
+    this.pendingCheck = Promise.resolve();
+  }
+
+  /**
+   * Message names of the rules as shown on the options page
+   */
+  static get RULES() {
+    return {
+      negativeBalance: "notificationRuleNegativeBalance",
+      aboveCap: "notificationRuleAboveCap",
+      staleData: "notificationRuleStaleData",
+      newLeave: "notificationRuleNewLeave",
+    };
+  }
+
+  /**
+   * Listens to new balances, the check alarm and snooze buttons (background worker only)
+   */
+  init() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[this.snapshotKey]) {
+        this.queueCheck();
+      }
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.checkAlarm) {
+        this.queueCheck();
+      }
+    });
+    // Creating the alarm again would restart its period on every worker start
+    chrome.alarms.get(this.checkAlarm).then((alarm) => {
+      if (!alarm) {
+        chrome.alarms.create(this.checkAlarm, { periodInMinutes: 6 * 60 });
+      }
+    });
+
+    chrome.notifications.onButtonClicked.addListener(
+      (notificationId, buttonIndex) => {
+        const rule = this.getRuleOfNotification(notificationId);
+        if (rule) {
+          this.snooze(rule, this.SNOOZE_DAYS[buttonIndex]);
+          chrome.notifications.clear(notificationId);
+        }
+      }
+    );
+
+    chrome.notifications.onClicked.addListener(async (notificationId) => {
+      if (!this.getRuleOfNotification(notificationId)) {
+        return;
+      }
+      chrome.notifications.clear(notificationId);
+      const stored = await chrome.storage.local.get(this.snapshotKey);
+      const snapshot = stored[this.snapshotKey];
+      if (snapshot && snapshot.attendanceUrl) {
+        chrome.tabs.create({ url: snapshot.attendanceUrl });
+      }
+    });
+  }
+
+  /**
+   * Runs a check once the previous one has saved its state
+   */
+  queueCheck() {
+    this.pendingCheck = this.pendingCheck
+      .then(() => this.check())
+      .catch((error) => {
+        console.error(
+          "PersonioOvertimeAdjuster: Error checking notifications:",
+          error
+        );
+      });
+    return this.pendingCheck;
+  }
+
+  /**
+   * Evaluates the rules against the stored balance and notifies about the ones that apply
+   */
+  async check() {
+    await this.config.load();
+    const stored = await chrome.storage.local.get(this.snapshotKey);
+    const snapshot = stored[this.snapshotKey];
+    if (!snapshot) {
+      return;
+    }
+
+    const today = new Date().toISOString().split("T")[0];
+    const state = await this.getState();
+    const { alerts, knownLeave } = OvertimeNotifications.evaluate(
+      snapshot,
+      this.config.values,
+      state.knownLeave,
+      today
+    );
+
+    for (const alert of alerts) {
+      const ruleState = state.rules[alert.rule] || {};
+      if (
+        ruleState.snoozedUntil &&
+        Date.parse(ruleState.snoozedUntil) > Date.now()
+      ) {
+        continue;
+      }
+      // Lasting conditions are repeated once a day, new leave whenever it appears
+      if (alert.rule !== "newLeave" && ruleState.lastNotified === today) {
+        continue;
+      }
+
+      try {
+        await this.notify(alert);
+        state.rules[alert.rule] = { ...ruleState, lastNotified: today };
+      } catch (error) {
+        console.error(
+          "PersonioOvertimeAdjuster: Error showing notification:",
+          error
+        );
+      }
+    }
+
+    state.knownLeave = knownLeave;
+    await this.saveState(state);
+  }
+
+  /**
+   * Gets the alerts { rule, title, message } that apply to a snapshot, and the approved leave it contains
+   */
+  static evaluate(snapshot, settings, knownLeave, today) {
+    const alerts = [];
+    const adjustedMinutes = snapshot.adjustedMinutes;
+    const formatMinutes = (minutes) =>
+      DurationFormat.format(minutes, snapshot.overtimeFormat);
+
+    if (settings.notifyNegativeBalance && adjustedMinutes < 0) {
+      alerts.push({
+        rule: "negativeBalance",
+        title: Localization.getMessage("notificationNegativeBalanceTitle"),
+        message: Localization.getMessage("notificationNegativeBalance", [
+          formatMinutes(adjustedMinutes),
+        ]),
+      });
+    }
+
+    if (
+      settings.notifyAboveMinutes > 0 &&
+      adjustedMinutes > settings.notifyAboveMinutes
+    ) {
+      alerts.push({
+        rule: "aboveCap",
+        title: Localization.getMessage("notificationAboveCapTitle"),
+        message: Localization.getMessage("notificationAboveCap", [
+          formatMinutes(adjustedMinutes),
+          formatMinutes(settings.notifyAboveMinutes),
+        ]),
+      });
+    }
+
+    if (settings.notifyStaleData) {
+      const ageInDays = snapshot.lastExtractionDate
+        ? Math.round(
+            (Date.parse(today) - Date.parse(snapshot.lastExtractionDate)) /
+              (24 * 60 * 60 * 1000)
+          )
+        : null;
+      if (ageInDays === null || ageInDays > settings.staleAfterDays) {
+        alerts.push({
+          rule: "staleData",
+          title: Localization.getMessage("notificationStaleDataTitle"),
+          message:
+            ageInDays === null
+              ? Localization.getMessage("notificationStaleDataNever")
+              : Localization.getMessage("notificationStaleData", [ageInDays]),
+        });
+      }
+    }
+
+    // Approved leave read from Personio, without imported and hypothetical leave
+    if (!Array.isArray(snapshot.periods)) {
+      return { alerts, knownLeave };
+    }
+    const approvedLeave = snapshot.periods.filter(
+      (period) =>
+        period.status === "approved" && !period.imported && !period.hypothetical
+    );
+    const leaveKey = (period) =>
+      `${period.startDate}_${period.endDate}_${period.absenceTypeId}`;
+
+    // The first extraction only sets the baseline
+    const newLeave = Array.isArray(knownLeave)
+      ? approvedLeave.filter((period) => !knownLeave.includes(leaveKey(period)))
+      : [];
+    if (settings.notifyNewLeave && newLeave.length > 0) {
+      alerts.push({
+        rule: "newLeave",
+        title: Localization.getMessage("notificationNewLeaveTitle"),
+        message: newLeave
+          .map(
+            (period) =>
+              `${period.absenceTypeName}: ${period.startDate}${
+                period.endDate !== period.startDate
+                  ? ` – ${period.endDate}`
+                  : ""
+              }`
+          )
+          .join("\n"),
+      });
+    }
+
+    return { alerts, knownLeave: approvedLeave.map(leaveKey) };
+  }
+
+  /**
+   * Shows the notification of an alert, with snooze buttons where the browser supports them
+   */
+  async notify(alert) {
+    const options = {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128x128.png"),
+      title: alert.title,
+      message: alert.message,
+    };
+    const notificationId = `${this.stateKey}_${alert.rule}`;
+
+    try {
+      await chrome.notifications.create(notificationId, {
+        ...options,
+        buttons: this.SNOOZE_DAYS.map((days) => ({
+          title:
+            days === 1
+              ? Localization.getMessage("notificationSnoozeDay")
+              : Localization.getMessage("notificationSnoozeDays", [days]),
+        })),
+      });
+    } catch (error) {
+      // Firefox does not support notification buttons
+      await chrome.notifications.create(notificationId, options);
+    }
+  }
+
+  /**
+   * Gets the rule a notification was shown for, null for other notifications
+   */
+  getRuleOfNotification(notificationId) {
+    const rule = notificationId.replace(`${this.stateKey}_`, "");
+    return rule in OvertimeNotifications.RULES ? rule : null;
+  }
+
+  /**
+   * Suppresses the notifications of a rule for the given number of days (0 resumes them)
+   */
+  async snooze(rule, days) {
+    const state = await this.getState();
+    state.rules[rule] = {
+      ...(state.rules[rule] || {}),
+      snoozedUntil:
+        days > 0
+          ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+    };
+    await this.saveState(state);
+    return state;
+  }
+
+  /**
+   * Gets the notification state from chrome.storage
+   */
+  async getState() {
+    try {
+      const stored = await chrome.storage.local.get(this.stateKey);
+      const state = stored[this.stateKey];
+      if (state && state.rules) {
+        return state;
+      }
+    } catch (error) {
+      console.error("Error getting notification state from storage:", error);
+    }
+    return { rules: {}, knownLeave: null };
+  }
+
+  /**
+   * Saves the notification state to chrome.storage
+   */
+  async saveState(state) {
+    try {
+      await chrome.storage.local.set({ [this.stateKey]: state });
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error saving notification state:",
+        error
+      );
+    }
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Personio Overtime Adjuster Toolbar Popup
+ * Shows the balance and upcoming leave last published by the attendance page
+ */
+class PersonioOvertimePopup {
+  constructor() {
+    // Written by the content script on the attendance page
+    this.snapshotKey = "personioTimeAdjuster_snapshot";
+
+    // Outcome of the last refresh, written by the background worker
+    this.refreshStatusKey = "personioTimeAdjuster_refreshStatus";
+
+    this.config = new PersonioOvertimeConfig();
+    this.snapshot = null;
+    this.refreshStatus = null;
+
+    this.init();
+  }
+
+  async init() {
+    Localization.localizePage();
+    await this.config.load();
+
+    const stored = await chrome.storage.local.get([
+      this.snapshotKey,
+      this.refreshStatusKey,
+    ]);
+    this.snapshot = stored[this.snapshotKey] || null;
+    this.refreshStatus = stored[this.refreshStatusKey] || null;
+    this.render();
+
+    // Show the result of a refresh while the popup is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") {
+        return;
+      }
+      if (changes[this.snapshotKey]) {
+        this.snapshot = changes[this.snapshotKey].newValue || null;
+        this.showStatus(Localization.getMessage("popupUpdated"));
+      }
+      if (changes[this.refreshStatusKey]) {
+        this.refreshStatus = changes[this.refreshStatusKey].newValue || null;
+      }
+      this.render();
+    });
+
+    document
+      .getElementById("refresh")
+      .addEventListener("click", () => this.handleRefresh());
+    document
+      .getElementById("openAttendance")
+      .addEventListener("click", () => this.openAttendancePage());
+  }
+
+  /**
+   * Fills the popup with the stored snapshot
+   */
+  render() {
+    this.renderRefreshStatus();
+
+    const snapshot = this.snapshot;
+    document.getElementById("empty").hidden = Boolean(snapshot);
+    document.getElementById("summary").hidden = !snapshot;
+    if (!snapshot) {
+      return;
+    }
+
+    document.getElementById("originalOvertime").textContent =
+      DurationFormat.format(snapshot.originalMinutes, snapshot.overtimeFormat);
+    document.getElementById("plannedDays").textContent =
+      snapshot.plannedDays.toFixed(1);
+
+    const adjustedElement = document.getElementById("adjustedOvertime");
+    adjustedElement.textContent = DurationFormat.format(
+      snapshot.adjustedMinutes,
+      snapshot.overtimeFormat
+    );
+    adjustedElement.className =
+      snapshot.adjustedMinutes < 0 ? "negative" : "positive";
+
+    const extractionAgeElement = document.getElementById("extractionAge");
+    const ageInDays = this.getExtractionAgeInDays();
+    if (ageInDays === null) {
+      extractionAgeElement.textContent = Localization.getMessage(
+        "popupExtractionNever"
+      );
+      extractionAgeElement.className = "stale";
+    } else {
+      extractionAgeElement.textContent =
+        ageInDays === 0
+          ? Localization.getMessage("popupExtractionToday")
+          : Localization.getMessage("popupExtractionDaysAgo", [ageInDays]);
+      extractionAgeElement.className =
+        ageInDays > this.config.get("staleAfterDays") ? "stale" : "";
+    }
+
+    document.getElementById("updatedAt").textContent = new Date(
+      snapshot.updatedAt
+    ).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" });
+
+    this.renderLeaveList(snapshot.periods);
+  }
+
+  /**
+   * Shows a warning when the last refresh could not run
+   */
+  renderRefreshStatus() {
+    const messageNames = {
+      loginNeeded: "popupLoginNeeded",
+      noAttendancePage: "popupNoAttendancePage",
+      failed: "popupRefreshFailed",
+    };
+    const refreshStatusElement = document.getElementById("refreshStatus");
+    const messageName =
+      this.refreshStatus && messageNames[this.refreshStatus.state];
+    const message = messageName && Localization.getMessage(messageName);
+
+    refreshStatusElement.hidden = !message;
+    if (message) {
+      refreshStatusElement.textContent = `${message} (${new Date(
+        this.refreshStatus.updatedAt
+      ).toLocaleString(undefined, {
+        dateStyle: "short",
+        timeStyle: "short",
+      })})`;
+    }
+  }
+
+  /**
+   * Lists the upcoming leave periods of the snapshot
+   */
+  renderLeaveList(periods) {
+    const list = document.getElementById("leaveList");
+    list.innerHTML = "";
+
+    const addItem = (text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      list.appendChild(item);
+      return item;
+    };
+
+    if (periods === null) {
+      addItem(Localization.getMessage("popupNoDates"));
+      return;
+    }
+    if (periods.length === 0) {
+      addItem(Localization.getMessage("leaveListEmpty"));
+      return;
+    }
+
+    const formatDate = (date) =>
+      new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+        weekday: "short",
+        day: "2-digit",
+        month: "2-digit",
+        timeZone: "UTC",
+      });
+    periods.forEach((period) => {
+      const dates =
+        period.endDate === period.startDate
+          ? formatDate(period.startDate)
+          : `${formatDate(period.startDate)} – ${formatDate(period.endDate)}`;
+      const item = addItem(`${dates} · ${period.absenceTypeName}`);
+      if (period.status !== "approved") {
+        item.style.fontStyle = "italic";
+        item.title =
+          period.status === "pending"
+            ? Localization.getMessage("leaveStatusPending")
+            : period.status;
+      }
+    });
+  }
+
+  /**
+   * Days since the last extraction, null if there was none
+   */
+  getExtractionAgeInDays() {
+    if (!this.snapshot.lastExtractionDate) {
+      return null;
+    }
+    const today = new Date().toISOString().split("T")[0];
+    return Math.round(
+      (Date.parse(today) - Date.parse(this.snapshot.lastExtractionDate)) /
+        (24 * 60 * 60 * 1000)
+    );
+  }
+
+  /**
+   * Asks the background worker to refresh the leave data in an attendance tab
+   */
+  async handleRefresh() {
+    try {
+      const response = await chrome.runtime.sendMessage(
+        ExtractionProtocol.createCommand(ExtractionProtocol.COMMANDS.REFRESH, {
+          attendanceUrl: this.snapshot ? this.snapshot.attendanceUrl : null,
+        })
+      );
+      this.showStatus(
+        Localization.getMessage(
+          response && response.started
+            ? "popupRefreshing"
+            : "popupRefreshNotStarted"
+        )
+      );
+    } catch (error) {
+      console.error("PersonioOvertimeAdjuster: Error starting refresh:", error);
+      this.showStatus(Localization.getMessage("popupRefreshFailedToStart"));
+    }
+  }
+
+  /**
+   * Opens the attendance page of the snapshot, or Personio's attendance start page
+   */
+  openAttendancePage() {
+    const host = this.config.get("personioHost");
+    let url = this.snapshot ? this.snapshot.attendanceUrl : null;
+    if (!url && host) {
+      url = `https://${host}/attendance`;
+    }
+    if (!url) {
+      this.showStatus(Localization.getMessage("popupSetHost"));
+      return;
+    }
+    chrome.tabs.create({ url });
+    window.close();
+  }
+
+  /**
+   * Shows a short status message below the buttons
+   */
+  showStatus(message) {
+    const statusElement = document.getElementById("status");
+    statusElement.textContent = message;
+  }
+}
+
+new PersonioOvertimePopup();
@@ -0,0 +1,441 @@
+/**
+ * Personio Selector Registry
+ * Central list of the Personio elements the extension reads, each with ordered lookup strategies
+ * so a rebuilt CSS hash falls back to a more stable strategy instead of breaking
+ */
+class PersonioSelectors {
+  constructor() {
+    this.registry = PersonioSelectors.getRegistry();
+
+    // Names whose fallback use has already been reported
+    this.reportedFallbacks = new Set();
+  }
+
+  /**
+   * Returns the registry: element name -> { page, optional, strategies }
+   * (optional elements are legitimately missing on some pages, e.g. legacy layouts or days without leave)
+   *
+   * Strategy types, tried in order:
+   * - testId: stable data-test-id attribute
+   * - css: exact selector of the current Personio build
+   * - moduleClass: CSS module class matched by its prefix (without the build hash), plus optional extra selector
+   * - parentOf: parent element of an element matching the selector
+   * - aria: ARIA role and/or label
+   * - text: elements matching the selector whose own text matches the pattern
+   */
+  static getRegistry() {
+    return {
+      // === ATTENDANCE PAGE ===
+      overtimeValue: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value: ".OvertimeWidget-module__confirmedTime___sa53y",
+          },
+          {
+            type: "moduleClass",
+            value: ["OvertimeWidget-module__confirmedTime"],
+          },
+        ],
+      },
+      overtimeLink: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value: 'a[href*="/attendance/employee/"][href*="/overtime"]',
+          },
+        ],
+      },
+      overtimeHeaderRow: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value:
+              ".Inline-module__inline___HVurB.Inline-module__none___ZcGAF.Inline-module__justify-space-between___KEJ7Y.Inline-module__align-center___uxLiG",
+          },
+          {
+            type: "moduleClass",
+            value: [
+              "Inline-module__inline",
+              "Inline-module__justify-space-between",
+            ],
+            extra: ':has(a[href*="/attendance/employee/"][href*="/overtime"])',
+          },
+          {
+            type: "parentOf",
+            value: 'a[href*="/attendance/employee/"][href*="/overtime"]',
+          },
+        ],
+      },
+      widgetLabel: {
+        page: "attendance",
+        strategies: [
+          { type: "css", value: ".WidgetCard-module__label___ZkWrl" },
+          { type: "moduleClass", value: ["WidgetCard-module__label"] },
+        ],
+      },
+      weeklyHours: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value: ".WorkingScheduleWidget-module__weeklyHours___IfLge",
+          },
+          {
+            type: "moduleClass",
+            value: ["WorkingScheduleWidget-module__weeklyHours"],
+          },
+          {
+            type: "text",
+            value: "p, span, div",
+            // "40h / week", "40 Std. / Woche"
+            pattern:
+              /^\s*\d+(?:[.,]\d+)?\s*(?:h|Std\.?)(?:\s*\d+\s*(?:m|Min\.?))?\s*\/\s*\S+/i,
+          },
+        ],
+      },
+      scheduleDay: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value: ".WorkingScheduleWidget-module__day___wI1eK",
+          },
+          {
+            type: "moduleClass",
+            value: ["WorkingScheduleWidget-module__day"],
+          },
+        ],
+      },
+      scheduleWorkday: {
+        page: "attendance",
+        strategies: [
+          {
+            type: "css",
+            value:
+              '.WorkingScheduleWidget-module__day___wI1eK[data-state="work"]',
+          },
+          {
+            type: "moduleClass",
+            value: ["WorkingScheduleWidget-module__day"],
+            extra: '[data-state="work"]',
+          },
+        ],
+      },
+      timesheetRow: {
+        page: "attendance",
+        strategies: [{ type: "testId", value: "timesheet-timecard" }],
+      },
+      dayCell: {
+        page: "attendance",
+        strategies: [
+          { type: "css", value: ".DayCell-module__cell____HEU7" },
+          { type: "moduleClass", value: ["DayCell-module__cell"] },
+        ],
+      },
+      timeOffIcon: {
+        page: "attendance",
+        optional: true,
+        strategies: [{ type: "testId", value: "time-off-icon" }],
+      },
+      approvedTimeOffIcon: {
+        page: "attendance",
+        optional: true,
+        strategies: [
+          {
+            type: "css",
+            value:
+              ".TimeOffIcon-module__circle___a1qx6.TimeOffIcon-module__green___L77Rd",
+          },
+          {
+            type: "moduleClass",
+            value: ["TimeOffIcon-module__circle", "TimeOffIcon-module__green"],
+          },
+        ],
+      },
+
+      // === CALENDAR PAGE ===
+      absenceTypeDialog: {
+        page: "calendar",
+        strategies: [
+          {
+            type: "testId",
+            value: "absence-type-details-dialog-scroll-section",
+          },
+          {
+            type: "css",
+            value:
+              '.Drawer-module__RvA2hNuK__v5-6-2.AbsenceTypeDetailsDrawer-module__drawer___BLRib[data-state="show"]',
+          },
+          {
+            type: "moduleClass",
+            value: ["AbsenceTypeDetailsDrawer-module__drawer"],
+            extra: '[data-state="show"]',
+          },
+        ],
+      },
+      activeBalanceTab: {
+        page: "calendar",
+        optional: true,
+        strategies: [
+          {
+            type: "css",
+            value: '[id*="content-balance"][data-state="active"]',
+          },
+          { type: "aria", role: "tabpanel", extra: '[data-state="active"]' },
+        ],
+      },
+      balanceStatements: {
+        page: "calendar",
+        strategies: [
+          {
+            type: "css",
+            value:
+              ".BalanceTab-module__visuallyGroupedBalanceStatements___lyShZ",
+          },
+          {
+            type: "moduleClass",
+            value: ["BalanceTab-module__visuallyGroupedBalanceStatements"],
+          },
+        ],
+      },
+      balanceStatement: {
+        page: "calendar",
+        strategies: [
+          {
+            type: "css",
+            value: ".BalanceTab-module__balanceStatement___PKh3f",
+          },
+          {
+            type: "moduleClass",
+            value: ["BalanceTab-module__balanceStatement"],
+          },
+        ],
+      },
+      balanceStatementLabel: {
+        page: "calendar",
+        strategies: [
+          { type: "css", value: ".BalanceTab-module__tooltipContent___Ose3o" },
+          { type: "moduleClass", value: ["BalanceTab-module__tooltipContent"] },
+          { type: "aria", role: "tooltip" },
+        ],
+      },
+      balanceStatementNote: {
+        page: "calendar",
+        optional: true,
+        strategies: [
+          {
+            type: "css",
+            value: ".InlineAlert-module__inlineAlert___TrYZg span",
+          },
+          {
+            type: "moduleClass",
+            value: ["InlineAlert-module__inlineAlert"],
+            extra: " span",
+          },
+        ],
+      },
+      legacyBalanceStack: {
+        page: "calendar",
+        optional: true,
+        strategies: [
+          {
+            type: "css",
+            value:
+              ".Stack-module__1EcFT-8V__v0-6-8.Stack-module__y3QoKyTs__v0-6-8",
+          },
+        ],
+      },
+      legacyBalanceRow: {
+        page: "calendar",
+        optional: true,
+        strategies: [
+          {
+            type: "css",
+            value:
+              ".Inline-module__bXbkibKw__v0-6-8.Inline-module__XTSrxcwj__v0-6-8.Inline-module__UEtVxQKs__v0-6-8.Inline-module__uD5yQygQ__v0-6-8",
+          },
+        ],
+      },
+      legacyBalanceText: {
+        page: "calendar",
+        optional: true,
+        strategies: [
+          { type: "css", value: ".BaseTypography-module__JG0dB-pS__v6-3-8" },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Converts a selector-based strategy into a CSS selector (null for text and parentOf strategies)
+   */
+  static toSelector(strategy) {
+    switch (strategy.type) {
+      case "testId":
+        return `[data-test-id="${strategy.value}"]`;
+      case "css":
+        return strategy.value;
+      case "moduleClass":
+        return (
+          strategy.value.map((prefix) => `[class*="${prefix}___"]`).join("") +
+          (strategy.extra || "")
+        );
+      case "aria":
+        return (
+          (strategy.role ? `[role="${strategy.role}"]` : "") +
+          (strategy.label ? `[aria-label*="${strategy.label}" i]` : "") +
+          (strategy.extra || "")
+        );
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describes a strategy for diagnostics
+   */
+  static describe(strategy) {
+    const selector = PersonioSelectors.toSelector(strategy);
+    if (selector) {
+      return `${strategy.type} ${selector}`;
+    }
+    return strategy.type === "text"
+      ? `text ${strategy.value} ~ ${strategy.pattern}`
+      : `${strategy.type} ${strategy.value}`;
+  }
+
+  /**
+   * Runs a single strategy below the root element
+   */
+  static runStrategy(strategy, root) {
+    try {
+      const selector = PersonioSelectors.toSelector(strategy);
+      if (selector) {
+        return Array.from(root.querySelectorAll(selector));
+      }
+
+      if (strategy.type === "parentOf") {
+        return Array.from(
+          new Set(
+            Array.from(root.querySelectorAll(strategy.value))
+              .map((element) => element.parentElement)
+              .filter(Boolean)
+          )
+        );
+      }
+
+      if (strategy.type === "text") {
+        return Array.from(root.querySelectorAll(strategy.value)).filter(
+          (element) =>
+            element.children.length === 0 &&
+            strategy.pattern.test(element.textContent)
+        );
+      }
+    } catch (error) {
+      // Unsupported selector syntax (e.g. :has in older browsers)
+    }
+    return [];
+  }
+
+  /**
+   * Finds all elements for a registered name using the first strategy that matches
+   */
+  findAll(name, root = document) {
+    const { strategies } = this.getEntry(name);
+
+    for (let index = 0; index < strategies.length; index++) {
+      const elements = PersonioSelectors.runStrategy(strategies[index], root);
+      if (elements.length > 0) {
+        this.reportFallback(name, index);
+        return elements;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Finds the first element for a registered name
+   */
+  find(name, root = document) {
+    return this.findAll(name, root)[0] || null;
+  }
+
+  /**
+   * Finds the closest ancestor (or the element itself) matching a registered name
+   */
+  closest(name, element) {
+    const { strategies } = this.getEntry(name);
+
+    for (const strategy of strategies) {
+      const selector = PersonioSelectors.toSelector(strategy);
+      if (!selector) {
+        continue;
+      }
+      try {
+        const match = element.closest(selector);
+        if (match) {
+          return match;
+        }
+      } catch (error) {
+        // Unsupported selector syntax
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets a registry entry, throwing for unknown names
+   */
+  getEntry(name) {
+    const entry = this.registry[name];
+    if (!entry) {
+      throw new Error(`Unknown Personio element "${name}"`);
+    }
+    return entry;
+  }
+
+  /**
+   * Warns once per element when only a fallback strategy still matches
+   */
+  reportFallback(name, strategyIndex) {
+    if (strategyIndex === 0 || this.reportedFallbacks.has(name)) {
+      return;
+    }
+    this.reportedFallbacks.add(name);
+    console.warn(
+      `PersonioOvertimeAdjuster: "${name}" only found by fallback strategy`,
+      PersonioSelectors.describe(this.registry[name].strategies[strategyIndex]),
+      "- Personio's UI has probably changed"
+    );
+  }
+
+  /**
+   * Reports for each element of a page which strategy matched, or that none did
+   */
+  diagnose(page, root = document) {
+    return Object.entries(this.registry)
+      .filter(([, entry]) => !page || entry.page === page)
+      .map(([name, entry]) => {
+        const index = entry.strategies.findIndex(
+          (strategy) => PersonioSelectors.runStrategy(strategy, root).length > 0
+        );
+        const strategy = index >= 0 ? entry.strategies[index] : null;
+        let status = index === 0 ? "ok" : "fallback";
+        if (index === -1) {
+          status = entry.optional ? "missing (optional)" : "missing";
+        }
+        return {
+          name,
+          status,
+          strategy: strategy ? PersonioSelectors.describe(strategy) : null,
+          matches: strategy
+            ? PersonioSelectors.runStrategy(strategy, root).length
+            : 0,
+        };
+      });
+  }
+}
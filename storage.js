@@ -0,0 +1,281 @@
+/**
+ * Personio Overtime Adjuster Storage
+ * Keeps the extension's data in chrome.storage.local under a versioned schema, shared by the content script,
+ * the toolbar popup and the background worker
+ */
+class PersonioOvertimeStorage {
+  constructor() {
+    // Storage key of the schema version the stored data is in
+    this.schemaVersionKey = "personioTimeAdjuster_schemaVersion";
+
+    // Loaded data, so it can be read synchronously
+    this.values = {};
+
+    // Writes run one after the other, in the order they were made
+    this.pendingWrites = Promise.resolve();
+    this.isWatching = false;
+
+    // Number of local changes per key, so a refresh does not undo changes made while it reads
+    this.revisions = {};
+  }
+
+  /**
+   * Version of the data layout written by this code, raised together with a new migration
+   */
+  static get SCHEMA_VERSION() {
+    return 2;
+  }
+
+  /**
+   * Keys of the stored data, the names it had in the page's localStorage
+   */
+  static get KEYS() {
+    return [
+      "personioTimeAdjuster_extractedDaysOff",
+      "personioTimeAdjuster_lastExtractionDate",
+      "personioTimeAdjuster_extractedDaysByType",
+      "personioTimeAdjuster_extractedPeriods",
+      "personioTimeAdjuster_importedPeriods",
+      "personioTimeAdjuster_history",
+      "personioTimeAdjuster_scenarios",
+    ];
+  }
+
+  /**
+   * Upgrades of the stored data, each from the version it is keyed by to the next one
+   */
+  static get MIGRATIONS() {
+    return {
+      // Version 1 holds the strings copied from localStorage, from version 2 on JSON values are stored as objects
+      1: (data) => {
+        const upgraded = { ...data };
+        [
+          "personioTimeAdjuster_extractedDaysByType",
+          "personioTimeAdjuster_extractedPeriods",
+          "personioTimeAdjuster_importedPeriods",
+          "personioTimeAdjuster_history",
+          "personioTimeAdjuster_scenarios",
+        ].forEach((key) => {
+          if (typeof upgraded[key] !== "string") {
+            return;
+          }
+          try {
+            upgraded[key] = JSON.parse(upgraded[key]);
+          } catch (error) {
+            console.error(`Error migrating ${key}, dropping it:`, error);
+            delete upgraded[key];
+          }
+        });
+        return upgraded;
+      },
+    };
+  }
+
+  /**
+   * Runs the migrations from the given schema version up to the current one
+   */
+  static upgrade(data, version) {
+    let upgraded = data;
+    for (
+      let current = version;
+      current < PersonioOvertimeStorage.SCHEMA_VERSION;
+      current++
+    ) {
+      upgraded = PersonioOvertimeStorage.MIGRATIONS[current](upgraded);
+    }
+    return upgraded;
+  }
+
+  /**
+   * Loads the data from chrome.storage, upgrading and rewriting it if it is in an older schema
+   */
+  async load() {
+    this.watch();
+    try {
+      const stored = await chrome.storage.local.get([
+        this.schemaVersionKey,
+        ...PersonioOvertimeStorage.KEYS,
+      ]);
+      const data = { ...stored };
+      delete data[this.schemaVersionKey];
+
+      // Nothing stored yet is the same as the current schema
+      const storedVersion = stored[this.schemaVersionKey];
+      const version = storedVersion || PersonioOvertimeStorage.SCHEMA_VERSION;
+      if (version > PersonioOvertimeStorage.SCHEMA_VERSION) {
+        // Written by a newer version of the extension, left as it is
+        console.log(
+          "PersonioOvertimeAdjuster: Stored data has newer schema version",
+          version
+        );
+        this.values = data;
+        return this.values;
+      }
+
+      this.values = PersonioOvertimeStorage.upgrade(data, version);
+      if (storedVersion === undefined) {
+        await chrome.storage.local.set({ [this.schemaVersionKey]: version });
+      } else if (version < PersonioOvertimeStorage.SCHEMA_VERSION) {
+        await this.writeAll(version);
+      }
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error loading data from chrome.storage:",
+        error
+      );
+    }
+    return this.values;
+  }
+
+  /**
+   * Writes all loaded data with the current schema version, removing keys a migration dropped
+   */
+  async writeAll(fromVersion) {
+    const droppedKeys = PersonioOvertimeStorage.KEYS.filter(
+      (key) => this.values[key] === undefined
+    );
+    await chrome.storage.local.remove(droppedKeys);
+    await chrome.storage.local.set({
+      ...this.values,
+      [this.schemaVersionKey]: PersonioOvertimeStorage.SCHEMA_VERSION,
+    });
+    console.log(
+      "PersonioOvertimeAdjuster: Upgraded stored data from schema version",
+      fromVersion,
+      "to",
+      PersonioOvertimeStorage.SCHEMA_VERSION
+    );
+  }
+
+  /**
+   * Moves the data the content script kept in the page's localStorage to chrome.storage, once (after load())
+   *
+   * Data already in chrome.storage is kept, e.g. from another Personio host. The page's copies are removed
+   * after they were saved, so Personio's scripts can no longer read them.
+   */
+  async importLocalStorage(pageStorage) {
+    const legacy = {};
+    PersonioOvertimeStorage.KEYS.forEach((key) => {
+      const value = pageStorage.getItem(key);
+      if (value !== null) {
+        legacy[key] = value;
+      }
+    });
+    if (Object.keys(legacy).length === 0) {
+      return;
+    }
+
+    try {
+      const imported = PersonioOvertimeStorage.upgrade(legacy, 1);
+      const missing = Object.fromEntries(
+        Object.entries(imported).filter(
+          ([key]) => this.values[key] === undefined
+        )
+      );
+      // Written directly, the page's copies are only removed if this succeeds
+      await chrome.storage.local.set(missing);
+      Object.assign(this.values, missing);
+      Object.keys(legacy).forEach((key) => pageStorage.removeItem(key));
+      console.log(
+        "PersonioOvertimeAdjuster: Moved",
+        Object.keys(legacy).length,
+        "entries from localStorage to chrome.storage"
+      );
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error moving localStorage data to chrome.storage:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets a stored value, the fallback if there is none
+   */
+  get(key, fallback = null) {
+    return this.values[key] === undefined ? fallback : this.values[key];
+  }
+
+  /**
+   * Stores a value (null removes it), returns a promise settled once it is written (failures are logged)
+   */
+  set(key, value) {
+    this.revisions[key] = (this.revisions[key] || 0) + 1;
+    if (value === null || value === undefined) {
+      delete this.values[key];
+    } else {
+      this.values[key] = value;
+    }
+
+    const write = this.pendingWrites.then(() =>
+      value === null || value === undefined
+        ? chrome.storage.local.remove(key)
+        : chrome.storage.local.set({ [key]: value })
+    );
+    this.pendingWrites = write.catch((error) => {
+      console.error(
+        `PersonioOvertimeAdjuster: Error saving ${key} to chrome.storage:`,
+        error
+      );
+    });
+    return this.pendingWrites;
+  }
+
+  /**
+   * Reads the data written by other tabs into the loaded data, keeping keys changed here meanwhile
+   */
+  async refresh() {
+    const revisions = { ...this.revisions };
+    await this.flush();
+    try {
+      const stored = await chrome.storage.local.get(
+        PersonioOvertimeStorage.KEYS
+      );
+      PersonioOvertimeStorage.KEYS.filter(
+        (key) => this.revisions[key] === revisions[key]
+      ).forEach((key) => {
+        if (stored[key] === undefined) {
+          delete this.values[key];
+        } else {
+          this.values[key] = stored[key];
+        }
+      });
+    } catch (error) {
+      console.error(
+        "PersonioOvertimeAdjuster: Error refreshing data from chrome.storage:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Waits until all writes made so far are saved, e.g. before leaving the page
+   */
+  flush() {
+    return this.pendingWrites;
+  }
+
+  /**
+   * Keeps the loaded data in sync with changes made by other tabs
+   */
+  watch() {
+    if (this.isWatching) {
+      return;
+    }
+    this.isWatching = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") {
+        return;
+      }
+      PersonioOvertimeStorage.KEYS.filter((key) => changes[key]).forEach(
+        (key) => {
+          if (changes[key].newValue === undefined) {
+            delete this.values[key];
+          } else {
+            this.values[key] = changes[key].newValue;
+          }
+        }
+      );
+    });
+  }
+}
@@ -0,0 +1,106 @@
+const assert = require("node:assert/strict");
+const { after, before, describe, it } = require("node:test");
+const { createStubServer } = require("./stub-server");
+const { loadScripts, readFixture } = require("./load-scripts");
+
+const { LeavePeriods, PersonioAbsenceApi } = loadScripts(
+  ["leave-periods.js", "absence-api.js"],
+  ["LeavePeriods", "PersonioAbsenceApi"]
+);
+
+/**
+ * Starts the stub server with a fixture on a free port and returns its origin
+ */
+async function startStub(fixture) {
+  const server = createStubServer(fixture);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+const path =
+  "/api/v1/employees/{employeeId}/absence-periods?start_date={startDate}&end_date={endDate}";
+const range = {
+  employeeId: "42",
+  startDate: "2030-01-01",
+  endDate: "2031-12-31",
+};
+
+describe("PersonioAbsenceApi", () => {
+  it("fills the placeholders of the path", () => {
+    const api = new PersonioAbsenceApi({
+      baseUrl: "https://acme.personio.com/",
+      path,
+    });
+    assert.equal(
+      api.buildUrl(range),
+      "https://acme.personio.com/api/v1/employees/42/absence-periods?start_date=2030-01-01&end_date=2031-12-31"
+    );
+  });
+
+  it("normalizes the periods of a response", () => {
+    const api = new PersonioAbsenceApi({ baseUrl: "", path });
+    const periods = api.parseAbsencePeriods(
+      readFixture("absence-periods.json")
+    );
+
+    assert.equal(periods.length, 3);
+    assert.deepEqual(
+      { ...periods[1] },
+      {
+        startDate: "2030-09-02",
+        endDate: "2030-09-03",
+        halfDayStart: false,
+        halfDayEnd: true,
+        days: 1.5,
+        hours: null,
+        status: "pending",
+        absenceTypeId: "1234",
+        absenceTypeName: "Overtime compensation",
+      }
+    );
+  });
+
+  it("rejects error responses", () => {
+    const api = new PersonioAbsenceApi({ baseUrl: "", path });
+    assert.throws(() =>
+      api.parseAbsencePeriods(readFixture("absence-error.json"))
+    );
+    assert.throws(() => api.parseAbsencePeriods({ success: true }));
+  });
+
+  describe("against the stub server", () => {
+    const stubs = [];
+    let periodsOrigin;
+    let loginOrigin;
+
+    before(async () => {
+      const periodsStub = await startStub("absence-periods.json");
+      const loginStub = await startStub("login-page.html");
+      stubs.push(periodsStub.server, loginStub.server);
+      periodsOrigin = periodsStub.origin;
+      loginOrigin = loginStub.origin;
+    });
+
+    after(() => stubs.forEach((server) => server.close()));
+
+    it("fetches and counts the sample periods", async () => {
+      const api = new PersonioAbsenceApi({ baseUrl: periodsOrigin, path });
+      const periods = await api.fetchAbsencePeriods(range);
+
+      assert.deepEqual(
+        {
+          ...LeavePeriods.sumPlannedDaysByType(periods, "2030-01-01", [
+            "1234",
+            "5678",
+          ]),
+        },
+        { 1234: "5.0", 5678: "0.5" }
+      );
+    });
+
+    it("fails when Personio answers with its login page", async () => {
+      const api = new PersonioAbsenceApi({ baseUrl: loginOrigin, path });
+      await assert.rejects(api.fetchAbsencePeriods(range), /text\/html/);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const { DurationFormat } = loadScripts(
+  ["duration-format.js"],
+  ["DurationFormat"]
+);
+
+describe("DurationFormat", () => {
+  describe("parse", () => {
+    it("reads Personio's hours and minutes", () => {
+      assert.equal(DurationFormat.parse("7h 42m").minutes, 462);
+      assert.equal(DurationFormat.parse("42m").minutes, 42);
+      assert.equal(DurationFormat.parse("0h").minutes, 0);
+      assert.equal(DurationFormat.parse("7 Std. 42 Min.").minutes, 462);
+    });
+
+    it("keeps the spacing of compact values", () => {
+      const { minutes, format } = DurationFormat.parse("7h42m");
+      assert.equal(minutes, 462);
+      assert.equal(format.partSeparator, "");
+      assert.equal(DurationFormat.format(-90, format), "-1h30m");
+    });
+
+    it("reads signs, including the Unicode minus", () => {
+      assert.equal(DurationFormat.parse("-30m").minutes, -30);
+      assert.equal(DurationFormat.parse("−7h 42m").minutes, -462);
+      assert.equal(DurationFormat.parse("+1h").format.plusSign, true);
+    });
+
+    it("reads decimal hours with their separators", () => {
+      const { minutes, format } = DurationFormat.parse("1.234,5 Std.");
+      assert.equal(minutes, 74070);
+      assert.equal(format.style, "decimal");
+      assert.equal(format.thousandsSeparator, ".");
+      assert.equal(format.decimalSeparator, ",");
+      assert.equal(DurationFormat.parse("7,75h").minutes, 465);
+    });
+
+    it("reads thousands separators in hours", () => {
+      assert.equal(DurationFormat.parse("1,234h 5m").minutes, 74045);
+    });
+
+    it("reads the legacy clock format", () => {
+      const { minutes, format } = DurationFormat.parse("+40:04");
+      assert.equal(minutes, 2404);
+      assert.equal(format.style, "clock");
+    });
+
+    it("rejects unknown formats", () => {
+      assert.equal(DurationFormat.parse(""), null);
+      assert.equal(DurationFormat.parse("7 days"), null);
+      assert.equal(DurationFormat.parse("1.23,4.5h"), null);
+    });
+  });
+
+  describe("format", () => {
+    it("writes Personio's format by default", () => {
+      assert.equal(DurationFormat.format(462), "7h 42m");
+      assert.equal(DurationFormat.format(-30), "-30m");
+      assert.equal(DurationFormat.format(0), "0h");
+    });
+
+    it("writes values back in the format they were read in", () => {
+      const formats = ["7,7 h", "+40:04", "7 Std. 42 Min.", "−1,234h 5m"];
+      formats.forEach((text) => {
+        const { minutes, format } = DurationFormat.parse(text);
+        assert.equal(DurationFormat.format(minutes, format), text);
+      });
+    });
+
+    it("leaves zero without a sign", () => {
+      const { format } = DurationFormat.parse("+1:00");
+      assert.equal(DurationFormat.format(0, format), "0:00");
+      assert.equal(
+        DurationFormat.format(-1, { style: "decimal", decimals: 1 }),
+        "0.0h"
+      );
+    });
+  });
+});
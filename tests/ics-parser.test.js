@@ -0,0 +1,105 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const { IcsParser } = loadScripts(["ics-parser.js"], ["IcsParser"]);
+
+/**
+ * Wraps VEVENT lines into a calendar with CRLF line ends
+ */
+function calendar(...events) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    ...events.flatMap((lines) => ["BEGIN:VEVENT", ...lines, "END:VEVENT"]),
+    "END:VCALENDAR",
+  ].join("\r\n");
+}
+
+describe("IcsParser", () => {
+  it("reads all-day events with exclusive ends", () => {
+    const events = IcsParser.parse(
+      calendar([
+        "UID:vacation-1",
+        "SUMMARY:Summer\\, family",
+        "DTSTART;VALUE=DATE:20300805",
+        "DTEND;VALUE=DATE:20300810",
+      ])
+    );
+
+    assert.deepEqual(
+      Array.from(events, (event) => ({ ...event })),
+      [
+        {
+          uid: "vacation-1",
+          summary: "Summer, family",
+          startDate: "2030-08-05",
+          endDate: "2030-08-09",
+          wholeDays: true,
+          recurring: false,
+        },
+      ]
+    );
+  });
+
+  it("joins folded lines", () => {
+    const [event] = IcsParser.parse(
+      calendar(["SUMMARY:Long ", " weekend", "DTSTART;VALUE=DATE:20300810"])
+    );
+    assert.equal(event.summary, "Long weekend");
+    assert.equal(event.endDate, "2030-08-10");
+  });
+
+  it("tells timed events from whole days", () => {
+    const [meeting, trip, retreat] = IcsParser.parse(
+      calendar(
+        ["DTSTART:20300805T090000", "DTEND:20300805T170000"],
+        ["DTSTART:20300805T000000", "DTEND:20300807T000000"],
+        ["DTSTART:20300805T120000", "DURATION:P1DT12H"]
+      )
+    );
+
+    assert.equal(meeting.wholeDays, false);
+    assert.equal(meeting.endDate, "2030-08-05");
+    assert.equal(trip.wholeDays, true);
+    assert.equal(trip.endDate, "2030-08-06");
+    assert.equal(retreat.wholeDays, true);
+    assert.equal(retreat.endDate, "2030-08-05");
+  });
+
+  it("reads week and day durations", () => {
+    const [event] = IcsParser.parse(
+      calendar(["DTSTART;VALUE=DATE:20300805", "DURATION:P1W"])
+    );
+    assert.equal(event.endDate, "2030-08-11");
+    assert.equal(IcsParser.parseDurationMinutes("PT1H30M"), 90);
+    assert.equal(IcsParser.parseDurationDays("P1DT12H"), 1);
+  });
+
+  it("marks repeating events", () => {
+    const events = IcsParser.parse(
+      calendar(
+        ["DTSTART;VALUE=DATE:20300805", "RRULE:FREQ=WEEKLY;COUNT=4"],
+        ["DTSTART;VALUE=DATE:20300812", "RECURRENCE-ID;VALUE=DATE:20300812"]
+      )
+    );
+    assert.deepEqual(
+      Array.from(events, (event) => event.recurring),
+      [true, true]
+    );
+  });
+
+  it("skips cancelled events and events without a start", () => {
+    const events = IcsParser.parse(
+      calendar(
+        ["DTSTART;VALUE=DATE:20300805", "STATUS:CANCELLED"],
+        ["SUMMARY:No date"],
+        ["DTSTART;VALUE=DATE:20300806"]
+      )
+    );
+    assert.deepEqual(
+      Array.from(events, (event) => event.startDate),
+      ["2030-08-06"]
+    );
+  });
+});
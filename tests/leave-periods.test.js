@@ -0,0 +1,223 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const { LeavePeriods } = loadScripts(["leave-periods.js"], ["LeavePeriods"]);
+
+/**
+ * Builds an approved period of the given type, days counted from the weekdays
+ */
+function period(startDate, endDate, fields = {}) {
+  return {
+    startDate,
+    endDate,
+    halfDayStart: false,
+    halfDayEnd: false,
+    days: null,
+    hours: null,
+    status: "approved",
+    absenceTypeId: "1234",
+    absenceTypeName: "",
+    ...fields,
+  };
+}
+
+/**
+ * Reduces periods to their date ranges and day counts
+ */
+function ranges(periods) {
+  return Array.from(periods, ({ startDate, endDate, days }) => ({
+    startDate,
+    endDate,
+    days,
+  }));
+}
+
+describe("LeavePeriods", () => {
+  describe("normalize", () => {
+    it("reads wrapped entities", () => {
+      assert.deepEqual(
+        {
+          ...LeavePeriods.normalize({
+            type: "TimeOffPeriod",
+            attributes: {
+              start_date: "2030-08-05T00:00:00+02:00",
+              end_date: "2030-08-09T00:00:00+02:00",
+              half_day_end: 1,
+              days_count: 4.5,
+              status: "Approved",
+              time_off_type: {
+                type: "TimeOffType",
+                attributes: { id: 1234, name: "Overtime" },
+              },
+            },
+          }),
+        },
+        period("2030-08-05", "2030-08-09", {
+          halfDayEnd: true,
+          days: 4.5,
+          absenceTypeName: "Overtime",
+        })
+      );
+    });
+
+    it("reads camelCase fields and minutes", () => {
+      const normalized = LeavePeriods.normalize({
+        startDate: "2030-08-05",
+        durationMinutes: 90,
+        timeOffTypeId: 5678,
+        status: "pending",
+      });
+      assert.equal(normalized.endDate, "2030-08-05");
+      assert.equal(normalized.hours, 1.5);
+      assert.equal(normalized.absenceTypeId, "5678");
+      assert.equal(normalized.status, "pending");
+    });
+
+    it("rejects periods without dates", () => {
+      assert.equal(LeavePeriods.normalize({ days_count: 1 }), null);
+      assert.equal(LeavePeriods.normalize("2030-08-05"), null);
+    });
+  });
+
+  describe("getTotalDays", () => {
+    it("prefers Personio's count", () => {
+      assert.equal(
+        LeavePeriods.getTotalDays(
+          period("2030-08-05", "2030-08-09", { days: 4 })
+        ),
+        4
+      );
+    });
+
+    it("counts weekdays minus half days", () => {
+      assert.equal(
+        LeavePeriods.getTotalDays(
+          period("2030-08-08", "2030-08-13", {
+            halfDayStart: true,
+            halfDayEnd: true,
+          })
+        ),
+        3
+      );
+      assert.equal(
+        LeavePeriods.getTotalDays(
+          period("2030-08-05", "2030-08-05", {
+            halfDayStart: true,
+            halfDayEnd: true,
+          })
+        ),
+        0.5
+      );
+    });
+  });
+
+  describe("getDailyPortions", () => {
+    it("skips days off and halves the half days", () => {
+      assert.deepEqual(
+        Array.from(
+          LeavePeriods.getDailyPortions(
+            period("2030-08-09", "2030-08-12", { halfDayEnd: true })
+          ),
+          (portion) => ({ ...portion })
+        ),
+        [
+          { date: "2030-08-09", days: 1 },
+          { date: "2030-08-12", days: 0.5 },
+        ]
+      );
+    });
+
+    it("scales the days to Personio's count", () => {
+      // A public holiday on one of the four weekdays
+      assert.deepEqual(
+        Array.from(
+          LeavePeriods.getDailyPortions(
+            period("2030-08-05", "2030-08-08", { days: 3 })
+          ),
+          (portion) => portion.days
+        ),
+        [0.75, 0.75, 0.75, 0.75]
+      );
+    });
+
+    it("uses the given working days", () => {
+      const isWorkday = (date) => date !== "2030-08-07";
+      assert.equal(
+        LeavePeriods.getDailyPortions(
+          period("2030-08-05", "2030-08-09"),
+          isWorkday
+        ).length,
+        4
+      );
+    });
+  });
+
+  describe("sumPlannedDaysByType", () => {
+    it("sums approved days from the given date per type", () => {
+      const periods = [
+        period("2030-08-05", "2030-08-09"),
+        period("2030-08-12", "2030-08-12", { status: "pending" }),
+        period("2030-08-13", "2030-08-13", {
+          absenceTypeId: "5678",
+          halfDayStart: true,
+        }),
+        period("2030-08-14", "2030-08-14", { absenceTypeId: "9999" }),
+      ];
+      assert.deepEqual(
+        {
+          ...LeavePeriods.sumPlannedDaysByType(periods, "2030-08-07", [
+            "1234",
+            "5678",
+          ]),
+        },
+        { 1234: "3.0", 5678: "0.5" }
+      );
+    });
+  });
+
+  describe("mergeImported", () => {
+    it("adds imported periods that do not overlap", () => {
+      const merged = LeavePeriods.mergeImported(
+        [period("2030-08-12", "2030-08-16", { days: 5 })],
+        [period("2030-08-05", "2030-08-06", { days: 2 })]
+      );
+      assert.deepEqual(ranges(merged), [
+        { startDate: "2030-08-05", endDate: "2030-08-06", days: 2 },
+        { startDate: "2030-08-12", endDate: "2030-08-16", days: 5 },
+      ]);
+    });
+
+    it("adds only the days no period covers", () => {
+      const merged = LeavePeriods.mergeImported(
+        [period("2030-08-07", "2030-08-07", { days: 1 })],
+        [
+          period("2030-08-05", "2030-08-09", {
+            days: 4.5,
+            halfDayStart: true,
+          }),
+        ]
+      );
+      assert.deepEqual(ranges(merged), [
+        { startDate: "2030-08-05", endDate: "2030-08-06", days: null },
+        { startDate: "2030-08-07", endDate: "2030-08-07", days: 1 },
+        { startDate: "2030-08-08", endDate: "2030-08-09", days: null },
+      ]);
+      assert.deepEqual(
+        Array.from(merged, (period) => period.halfDayStart),
+        [true, false, false]
+      );
+    });
+
+    it("drops imported days that are already covered", () => {
+      const merged = LeavePeriods.mergeImported(
+        [period("2030-08-05", "2030-08-09")],
+        [period("2030-08-06", "2030-08-07"), period("2030-08-09", "2030-08-12")]
+      );
+      assert.deepEqual(ranges(merged), [
+        { startDate: "2030-08-05", endDate: "2030-08-09", days: null },
+        { startDate: "2030-08-10", endDate: "2030-08-12", days: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Loads the extension's scripts for tests
+ * The scripts declare browser globals instead of exporting modules, so they are run in one shared context
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Runs the given scripts (relative to the repository root) and returns the named globals they declare
+ */
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    TextEncoder,
+    Intl,
+    fetch,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    ...globals,
+  });
+  files.forEach((file) => {
+    const filename = path.join(__dirname, "..", file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+  return Object.fromEntries(
+    names.map((name) => [name, vm.runInContext(name, context)])
+  );
+}
+
+/**
+ * Reads a JSON fixture from tests/fixtures
+ */
+function readFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8")
+  );
+}
+
+module.exports = { loadScripts, readFixture };
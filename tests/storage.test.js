@@ -0,0 +1,139 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+/**
+ * Stands in for chrome.storage.local, keeping the data in memory
+ */
+function createChrome(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    storage: {
+      local: {
+        get: async (keys) =>
+          Object.fromEntries(
+            keys.filter((key) => key in data).map((key) => [key, data[key]])
+          ),
+        set: async (values) => Object.assign(data, values),
+        remove: async (keys) =>
+          [].concat(keys).forEach((key) => delete data[key]),
+      },
+      onChanged: { addListener: () => {} },
+    },
+  };
+}
+
+/**
+ * Loads the storage class against the given chrome stand-in
+ */
+function loadStorage(chrome) {
+  return loadScripts(["storage.js"], ["PersonioOvertimeStorage"], {
+    chrome,
+    // Migrations log the values they drop
+    console: { ...console, error: () => {} },
+  }).PersonioOvertimeStorage;
+}
+
+describe("PersonioOvertimeStorage", () => {
+  describe("upgrade", () => {
+    const PersonioOvertimeStorage = loadStorage(createChrome());
+
+    it("parses the JSON strings of version 1", () => {
+      const upgraded = PersonioOvertimeStorage.upgrade(
+        {
+          personioTimeAdjuster_extractedDaysOff: "3.5",
+          personioTimeAdjuster_extractedDaysByType: '{"1234":"3.5"}',
+          personioTimeAdjuster_history: "[]",
+        },
+        1
+      );
+      assert.equal(upgraded.personioTimeAdjuster_extractedDaysOff, "3.5");
+      assert.deepEqual(
+        { ...upgraded.personioTimeAdjuster_extractedDaysByType },
+        { 1234: "3.5" }
+      );
+      assert.equal(upgraded.personioTimeAdjuster_history.length, 0);
+    });
+
+    it("drops values that are not valid JSON", () => {
+      const upgraded = PersonioOvertimeStorage.upgrade(
+        { personioTimeAdjuster_extractedPeriods: "[{" },
+        1
+      );
+      assert.equal("personioTimeAdjuster_extractedPeriods" in upgraded, false);
+    });
+
+    it("leaves data of the current version alone", () => {
+      const data = { personioTimeAdjuster_scenarios: "[]" };
+      assert.equal(
+        PersonioOvertimeStorage.upgrade(
+          data,
+          PersonioOvertimeStorage.SCHEMA_VERSION
+        ),
+        data
+      );
+    });
+  });
+
+  describe("load", () => {
+    it("rewrites data stored in an older version", async () => {
+      const chrome = createChrome({
+        personioTimeAdjuster_schemaVersion: 1,
+        personioTimeAdjuster_extractedPeriods: "[]",
+        personioTimeAdjuster_scenarios: "not json",
+      });
+      const PersonioOvertimeStorage = loadStorage(chrome);
+      const storage = new PersonioOvertimeStorage();
+      await storage.load();
+
+      assert.equal(
+        chrome.data.personioTimeAdjuster_schemaVersion,
+        PersonioOvertimeStorage.SCHEMA_VERSION
+      );
+      assert.equal(
+        Array.isArray(chrome.data.personioTimeAdjuster_extractedPeriods),
+        true
+      );
+      assert.equal("personioTimeAdjuster_scenarios" in chrome.data, false);
+      assert.equal(storage.get("personioTimeAdjuster_scenarios"), null);
+    });
+
+    it("keeps data written by a newer version", async () => {
+      const chrome = createChrome({
+        personioTimeAdjuster_schemaVersion: 99,
+        personioTimeAdjuster_history: "future",
+      });
+      const storage = new (loadStorage(chrome))();
+      await storage.load();
+
+      assert.equal(chrome.data.personioTimeAdjuster_schemaVersion, 99);
+      assert.equal(storage.get("personioTimeAdjuster_history"), "future");
+    });
+  });
+
+  it("moves the page's localStorage data once", async () => {
+    const chrome = createChrome({
+      personioTimeAdjuster_schemaVersion: 2,
+      personioTimeAdjuster_history: [{ date: "2030-01-01" }],
+    });
+    const storage = new (loadStorage(chrome))();
+    await storage.load();
+
+    const pageData = {
+      personioTimeAdjuster_history: "[]",
+      personioTimeAdjuster_extractedDaysByType: '{"1234":"1.0"}',
+    };
+    await storage.importLocalStorage({
+      getItem: (key) => (key in pageData ? pageData[key] : null),
+      removeItem: (key) => delete pageData[key],
+    });
+
+    assert.equal(chrome.data.personioTimeAdjuster_history.length, 1);
+    assert.deepEqual(
+      { ...chrome.data.personioTimeAdjuster_extractedDaysByType },
+      { 1234: "1.0" }
+    );
+    assert.deepEqual(pageData, {});
+  });
+});
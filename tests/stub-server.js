@@ -0,0 +1,54 @@
+/**
+ * Stub of Personio's absence data endpoint, serving the JSON fixtures in tests/fixtures
+ *
+ * Start it with `node tests/stub-server.js [fixture] [port]` (default absence-periods.json on port 8080) and set
+ * the data endpoint origin in the options to http://localhost:8080. Every path answers with the fixture,
+ * with CORS headers allowing credentials for the requesting Personio page.
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+/**
+ * Creates a server answering every request with the given fixture (not listening yet)
+ */
+function createStubServer(fixture = "absence-periods.json") {
+  return http.createServer((request, response) => {
+    const headers = {
+      "Access-Control-Allow-Origin": request.headers.origin || "*",
+      "Access-Control-Allow-Credentials": "true",
+      "Access-Control-Allow-Headers": "Accept",
+      Vary: "Origin",
+    };
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, headers);
+      response.end();
+      return;
+    }
+
+    const file = path.join(__dirname, "fixtures", path.basename(fixture));
+    fs.readFile(file, (error, body) => {
+      if (error) {
+        response.writeHead(404, headers);
+        response.end();
+        return;
+      }
+      response.writeHead(200, {
+        ...headers,
+        "Content-Type": fixture.endsWith(".json")
+          ? "application/json"
+          : "text/html",
+      });
+      response.end(body);
+    });
+  });
+}
+
+if (require.main === module) {
+  const [fixture, port = "8080"] = process.argv.slice(2);
+  createStubServer(fixture).listen(Number(port), () => {
+    console.log(`Stub server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStubServer };
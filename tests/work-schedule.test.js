@@ -0,0 +1,98 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const { WorkSchedule } = loadScripts(
+  ["localization.js", "work-schedule.js"],
+  ["WorkSchedule"]
+);
+
+// Full-time with a short Friday, then four mornings a week from 2030
+const schedule = new WorkSchedule([
+  { effectiveFrom: "", minutes: [480, 480, 480, 480, 360, 0, 0] },
+  { effectiveFrom: "2030-01-01", minutes: [240, 240, 240, 240, 0, 0, 0] },
+]);
+
+/**
+ * Stands in for the selectors with a weekly hours text and the states of the widget's days
+ */
+function widget(weeklyHours, states) {
+  return {
+    find: () => (weeklyHours === null ? null : { textContent: weeklyHours }),
+    findAll: () => states.map((state) => ({ getAttribute: () => state })),
+  };
+}
+
+describe("WorkSchedule", () => {
+  it("switches entries on their effective dates", () => {
+    assert.equal(schedule.getMinutesForDate("2029-12-28"), 360);
+    assert.equal(schedule.getMinutesForDate("2030-01-03"), 240);
+    assert.equal(schedule.getMinutesForDate("2030-01-04"), 0);
+    assert.equal(schedule.isWorkday("2030-01-05"), false);
+  });
+
+  it("lets later entries win on the same date", () => {
+    const overridden = new WorkSchedule([
+      { effectiveFrom: "2030-01-01", minutes: [60, 0, 0, 0, 0, 0, 0] },
+      { effectiveFrom: "2030-01-01", minutes: [120, 0, 0, 0, 0, 0, 0] },
+    ]);
+    assert.equal(overridden.getMinutesForDate("2030-01-07"), 120);
+  });
+
+  it("averages the working days of the schedule in effect", () => {
+    assert.equal(schedule.getMeanWorkdayMinutes("2029-12-30"), 456);
+    assert.equal(schedule.getMeanWorkdayMinutes("2030-06-01"), 240);
+    assert.equal(
+      new WorkSchedule([
+        { effectiveFrom: "", minutes: [0, 0, 0, 0, 0, 0, 0] },
+      ]).getMeanWorkdayMinutes("2030-06-01"),
+      0
+    );
+  });
+
+  it("counts the working days some minutes cover", () => {
+    // Thursday and half of Friday
+    assert.equal(schedule.getWorkdaysForMinutes("2029-12-27", 660), 1.5);
+    // Friday, then Monday
+    assert.equal(schedule.getWorkdaysForMinutes("2029-12-28", -840), 2);
+    assert.equal(schedule.getWorkdaysForMinutes("2030-01-04", 120), 0.5);
+  });
+
+  it("spreads the widget's weekly hours over its working days", () => {
+    const work = ["work", "work", "work", "work", "off", "off", "off"];
+    assert.deepEqual(
+      Array.from(WorkSchedule.readFromWidget(widget("32h / week", work))),
+      [480, 480, 480, 480, 0, 0, 0]
+    );
+    assert.deepEqual(
+      Array.from(
+        WorkSchedule.readFromWidget(widget("30 Std. 30 Min. / Woche", work))
+      ),
+      [457.5, 457.5, 457.5, 457.5, 0, 0, 0]
+    );
+  });
+
+  it("gives up on widgets it cannot read", () => {
+    const work = ["work", "work", "work", "work", "work", "off", "off"];
+    assert.equal(WorkSchedule.readFromWidget(widget(null, work)), null);
+    assert.equal(
+      WorkSchedule.readFromWidget(widget("09:00–17:00", work)),
+      null
+    );
+    assert.equal(
+      WorkSchedule.readFromWidget(widget("40h / week", work.slice(1))),
+      null
+    );
+    assert.equal(
+      WorkSchedule.readFromWidget(widget("40h / week", Array(7).fill("off"))),
+      null
+    );
+  });
+
+  it("parses durations without reading clock times", () => {
+    assert.equal(WorkSchedule.parseDuration("8h 30m"), 510);
+    assert.equal(WorkSchedule.parseDuration("7,5 Std."), 450);
+    assert.equal(WorkSchedule.parseDuration("45 Min."), 45);
+    assert.equal(WorkSchedule.parseDuration("09:00"), 0);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Personio Overtime Adjuster Widget Lifecycle
+ * Follows Personio's single-page app: reports client-side navigation (through the History API hooks)
+ * and re-rendered page content, so the controls can be re-injected and recomputed
+ */
+class WidgetLifecycle {
+  constructor(onNavigate, onPageChange) {
+    this.onNavigate = onNavigate;
+    this.onPageChange = onPageChange;
+
+    // Dispatched by history-hooks.js in the page's context on pushState and replaceState
+    this.LOCATION_CHANGE_EVENT = "personioOvertimeAdjuster:locationchange";
+
+    // Batches the mutations of one Personio re-render into a single check
+    this.CHECK_DELAY_MS = 150;
+
+    this.observer = null;
+    this.checkTimeoutId = null;
+    this.handleLocationChange = () => this.onNavigate();
+  }
+
+  /**
+   * Starts reporting navigation
+   */
+  start() {
+    [this.LOCATION_CHANGE_EVENT, "popstate", "hashchange"].forEach(
+      (eventName) =>
+        window.addEventListener(eventName, this.handleLocationChange)
+    );
+  }
+
+  /**
+   * Stops reporting navigation and page changes
+   */
+  stop() {
+    [this.LOCATION_CHANGE_EVENT, "popstate", "hashchange"].forEach(
+      (eventName) =>
+        window.removeEventListener(eventName, this.handleLocationChange)
+    );
+    this.disconnect();
+  }
+
+  /**
+   * Starts reporting page changes, with a first check right away
+   */
+  observe() {
+    if (!this.observer) {
+      this.observer = new MutationObserver(() => this.scheduleCheck());
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+    this.scheduleCheck();
+  }
+
+  /**
+   * Stops reporting page changes
+   */
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.checkTimeoutId !== null) {
+      clearTimeout(this.checkTimeoutId);
+      this.checkTimeoutId = null;
+    }
+  }
+
+  /**
+   * Runs the page check once the current burst of mutations is over
+   */
+  scheduleCheck() {
+    if (this.checkTimeoutId !== null) {
+      return;
+    }
+    this.checkTimeoutId = setTimeout(() => {
+      this.checkTimeoutId = null;
+      // Also catches navigation where the History API hooks are not available (main world scripts)
+      this.onNavigate();
+      if (this.observer) {
+        this.onPageChange();
+      }
+    }, this.CHECK_DELAY_MS);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Personio Overtime Adjuster Widget Theme
+ * Renders the extension's controls in a Shadow DOM, coloured to match Personio's light or dark theme
+ */
+class WidgetTheme {
+  /**
+   * Colours of each theme, available in the widget as CSS custom properties (--adjuster-<name>)
+   */
+  static get PALETTES() {
+    return {
+      light: {
+        border: "#ccc",
+        muted: "#6c757d",
+        success: "#1e7e34",
+        successBackground: "#e6f4ea",
+        danger: "#c82333",
+        dangerBackground: "#fdecee",
+        warning: "#d39e00",
+        accent: "#007bff",
+        scenario: "#d9650b",
+        grid: "#bbb",
+        controlBackground: "#fff",
+      },
+      dark: {
+        border: "#5f6368",
+        muted: "#9aa0a6",
+        success: "#5dd67f",
+        successBackground: "#1d3a26",
+        danger: "#ff7b86",
+        dangerBackground: "#432227",
+        warning: "#ffd45e",
+        accent: "#6ab0ff",
+        scenario: "#ffa94d",
+        grid: "#5f6368",
+        controlBackground: "#2b2b2b",
+      },
+    };
+  }
+
+  /**
+   * Attaches the widget's shadow root with its stylesheet to a host element and keeps its theme in sync
+   */
+  static attach(host) {
+    const shadowRoot = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = WidgetTheme.getStylesheet();
+    shadowRoot.appendChild(style);
+
+    WidgetTheme.apply(host);
+    WidgetTheme.track(host);
+
+    return shadowRoot;
+  }
+
+  /**
+   * Keeps a host's theme in sync with the system colour scheme through one shared listener,
+   * forgetting the hosts that were removed from the page
+   */
+  static track(host) {
+    if (!WidgetTheme.hosts) {
+      WidgetTheme.hosts = new Set();
+      window
+        .matchMedia("(prefers-color-scheme: dark)")
+        .addEventListener("change", () => {
+          WidgetTheme.forgetRemovedHosts();
+          WidgetTheme.hosts.forEach((trackedHost) =>
+            WidgetTheme.apply(trackedHost)
+          );
+        });
+    }
+    WidgetTheme.forgetRemovedHosts();
+    WidgetTheme.hosts.add(host);
+  }
+
+  /**
+   * Drops the tracked hosts that are no longer on the page
+   */
+  static forgetRemovedHosts() {
+    WidgetTheme.hosts.forEach((trackedHost) => {
+      if (!trackedHost.isConnected) {
+        WidgetTheme.hosts.delete(trackedHost);
+      }
+    });
+  }
+
+  /**
+   * Sets the host's theme from the page around it, left to prefers-color-scheme if it cannot be told
+   */
+  static apply(host) {
+    const theme = WidgetTheme.detect(host.parentElement);
+    if (theme) {
+      host.dataset.theme = theme;
+    } else {
+      delete host.dataset.theme;
+    }
+  }
+
+  /**
+   * Tells whether Personio shows the element on a light or dark background ("light", "dark" or null)
+   */
+  static detect(element) {
+    for (let node = element; node; node = node.parentElement) {
+      const match = getComputedStyle(node).backgroundColor.match(
+        /rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/
+      );
+      // Transparent backgrounds show the one of the parent
+      if (match && (match[4] === undefined || parseFloat(match[4]) >= 0.5)) {
+        const [red, green, blue] = match.slice(1, 4).map(Number);
+        const luminance = (0.2126 * red + 0.7152 * green + 0.0722 * blue) / 255;
+        return luminance < 0.5 ? "dark" : "light";
+      }
+    }
+
+    // Personio's declared colour scheme, if any
+    const colorScheme = getComputedStyle(document.documentElement).colorScheme;
+    return ["light", "dark"].includes(colorScheme) ? colorScheme : null;
+  }
+
+  /**
+   * Gets the widget's stylesheet: the palettes, the base look of its controls and their states
+   */
+  static getStylesheet() {
+    const toProperties = (palette) =>
+      Object.entries(palette)
+        .map(
+          ([name, value]) =>
+            `--adjuster-${name
+              .replace(/[A-Z]/g, "-$&")
+              .toLowerCase()}: ${value};`
+        )
+        .join(" ");
+    const { light, dark } = WidgetTheme.PALETTES;
+
+    return `
+      :host {
+        display: block;
+        color: inherit;
+        font: inherit;
+        color-scheme: light;
+        ${toProperties(light)}
+      }
+      :host([data-theme="dark"]) {
+        color-scheme: dark;
+        ${toProperties(dark)}
+      }
+      @media (prefers-color-scheme: dark) {
+        :host(:not([data-theme])) {
+          color-scheme: dark;
+          ${toProperties(dark)}
+        }
+      }
+
+      button,
+      input,
+      select {
+        font: inherit;
+        color: inherit;
+        background: var(--adjuster-control-background);
+        border: 1px solid var(--adjuster-border);
+        border-radius: 4px;
+      }
+      summary {
+        cursor: pointer;
+        color: var(--adjuster-muted);
+      }
+      button:focus-visible,
+      input:focus-visible,
+      select:focus-visible,
+      summary:focus-visible {
+        outline: 2px solid var(--adjuster-accent);
+        outline-offset: 1px;
+      }
+      .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+        border: 0;
+      }
+
+      #subtractTime[data-status="extracted"] {
+        border: 2px solid var(--adjuster-success);
+      }
+      #subtractTime[data-status="invalid"],
+      input[data-status="invalid"] {
+        border: 2px dashed var(--adjuster-danger);
+      }
+
+      #subtractTimeReload[data-status="never"],
+      #subtractTimeReload[data-status="stale"] {
+        border: 1.5px solid var(--adjuster-danger);
+      }
+      #subtractTimeReload[data-status="adjusted"] {
+        border: 1.5px dashed var(--adjuster-warning);
+      }
+      #subtractTimeReload[data-status="succeeded"] {
+        border: 1.5px solid var(--adjuster-success);
+        background: var(--adjuster-success-background);
+        color: var(--adjuster-success);
+      }
+      #subtractTimeReload[data-status="failed"] {
+        border: 1.5px solid var(--adjuster-danger);
+        background: var(--adjuster-danger-background);
+        color: var(--adjuster-danger);
+      }
+
+      #subtractTimeExtractionStatus {
+        color: var(--adjuster-muted);
+      }
+      #subtractTimeExtractionStatus[data-status="never"],
+      #subtractTimeExtractionStatus[data-status="stale"],
+      #subtractTimeExtractionStatus[data-status="failed"] {
+        color: var(--adjuster-danger);
+      }
+      #subtractTimeExtractionStatus[data-status="adjusted"] {
+        color: var(--adjuster-warning);
+      }
+      #subtractTimeExtractionStatus[data-status="succeeded"] {
+        color: var(--adjuster-success);
+      }
+
+      [data-sign="positive"] {
+        color: var(--adjuster-success);
+      }
+      [data-sign="negative"] {
+        color: var(--adjuster-danger);
+      }
+      [data-sign="zero"] {
+        color: var(--adjuster-muted);
+      }
+
+      #subtractTimeVisibility[data-status="hidden"] {
+        text-decoration: line-through;
+        opacity: 0.6;
+      }
+
+      .chart-grid {
+        stroke: var(--adjuster-grid);
+      }
+      .chart-line {
+        stroke: var(--adjuster-accent);
+        fill: none;
+      }
+      .chart-line-muted {
+        stroke: var(--adjuster-muted);
+        fill: none;
+      }
+      .chart-point {
+        fill: var(--adjuster-accent);
+      }
+      .chart-point-muted {
+        fill: var(--adjuster-muted);
+      }
+      .chart-point-negative {
+        fill: var(--adjuster-danger);
+      }
+      .chart-marker {
+        stroke: var(--adjuster-danger);
+      }
+    `;
+  }
+}
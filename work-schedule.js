@@ -0,0 +1,162 @@
+/**
+ * Personio Work Schedule
+ * Working minutes per weekday, optionally changing on effective dates (e.g. a switch to part-time)
+ */
+class WorkSchedule {
+  /**
+   * @param {Array<{effectiveFrom: string, minutes: number[]}>} entries - Minutes Monday to Sunday,
+   *   valid from effectiveFrom (YYYY-MM-DD, empty = always); later entries win on the same date
+   */
+  constructor(entries) {
+    this.entries = entries
+      .map((entry, index) => ({ ...entry, index }))
+      .sort(
+        (a, b) =>
+          (a.effectiveFrom || "").localeCompare(b.effectiveFrom || "") ||
+          a.index - b.index
+      );
+  }
+
+  /**
+   * Creates a schedule with the same minutes on Monday to Friday
+   */
+  static createStandard(workdayMinutes) {
+    return [
+      workdayMinutes,
+      workdayMinutes,
+      workdayMinutes,
+      workdayMinutes,
+      workdayMinutes,
+      0,
+      0,
+    ];
+  }
+
+  /**
+   * Converts a JavaScript weekday (0 = Sunday) to the schedule index (0 = Monday)
+   */
+  static toScheduleIndex(weekday) {
+    return (weekday + 6) % 7;
+  }
+
+  /**
+   * Gets the schedule entry effective on a YYYY-MM-DD date
+   */
+  getEntryForDate(date) {
+    let current = this.entries[0];
+    this.entries.forEach((entry) => {
+      if (!entry.effectiveFrom || entry.effectiveFrom <= date) {
+        current = entry;
+      }
+    });
+    return current;
+  }
+
+  /**
+   * Gets the working minutes of a YYYY-MM-DD date
+   */
+  getMinutesForDate(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return this.getEntryForDate(date).minutes[
+      WorkSchedule.toScheduleIndex(weekday)
+    ];
+  }
+
+  /**
+   * Checks if a YYYY-MM-DD date is a working day
+   */
+  isWorkday(date) {
+    return this.getMinutesForDate(date) > 0;
+  }
+
+  /**
+   * Gets the average minutes of a working day in the schedule effective on a YYYY-MM-DD date (0 if it has none)
+   */
+  getMeanWorkdayMinutes(date) {
+    const workdayMinutes = this.getEntryForDate(date).minutes.filter(
+      (minutes) => minutes > 0
+    );
+    if (workdayMinutes.length === 0) {
+      return 0;
+    }
+    return (
+      workdayMinutes.reduce((sum, minutes) => sum + minutes, 0) /
+      workdayMinutes.length
+    );
+  }
+
+  /**
+   * Counts the working days from a YYYY-MM-DD date on that the given minutes cover, the last one as a fraction
+   * (0 if there are no working days)
+   */
+  getWorkdaysForMinutes(fromDate, minutes) {
+    const date = new Date(`${fromDate}T00:00:00Z`);
+    let remainingMinutes = Math.abs(minutes);
+    let workdays = 0;
+    // Stops after a year without working days, so a schedule without them cannot loop forever
+    for (let idleDays = 0; remainingMinutes > 0 && idleDays < 366; ) {
+      const dayMinutes = this.getMinutesForDate(
+        date.toISOString().split("T")[0]
+      );
+      if (dayMinutes > 0) {
+        workdays += Math.min(1, remainingMinutes / dayMinutes);
+        remainingMinutes -= dayMinutes;
+        idleDays = 0;
+      } else {
+        idleDays++;
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return workdays;
+  }
+
+  /**
+   * Reads the minutes per weekday from Personio's working schedule widget, null if it is missing
+   */
+  static readFromWidget(selectors) {
+    const weeklyHoursElement = selectors.find("weeklyHours");
+    if (!weeklyHoursElement) {
+      return null;
+    }
+
+    // "40h 30m / week"
+    const weeklyMinutes = WorkSchedule.parseDuration(
+      weeklyHoursElement.textContent.split("/")[0]
+    );
+
+    if (!weeklyMinutes) {
+      return null;
+    }
+
+    // Days are listed Monday to Sunday, working days carry data-state="work"
+    const dayElements = selectors.findAll("scheduleDay");
+    if (dayElements.length !== 7) {
+      return null;
+    }
+    const isWorking = dayElements.map(
+      (element) => element.getAttribute("data-state") === "work"
+    );
+    const workdayCount = isWorking.filter(Boolean).length;
+    if (workdayCount === 0) {
+      return null;
+    }
+
+    // Only the weekly total is shown - spread it evenly across the working days
+    return isWorking.map((working) =>
+      working ? weeklyMinutes / workdayCount : 0
+    );
+  }
+
+  /**
+   * Parses "8h 30m", "8h", "45m" or "8 Std. 30 Min." into minutes (0 if no duration is found)
+   */
+  static parseDuration(text) {
+    const value = String(text || "");
+    const hoursMatch = value.match(Localization.PERSONIO_TEXTS.hours);
+    const minutesMatch = value.match(Localization.PERSONIO_TEXTS.minutes);
+    return (
+      (hoursMatch ? parseFloat(hoursMatch[1].replace(",", ".")) * 60 : 0) +
+      (minutesMatch ? parseInt(minutesMatch[1], 10) : 0)
+    );
+  }
+}